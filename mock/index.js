@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Run the mock Foundry VTT server
+ *
+ *   node mock [--world mock/worlds/goblin-cave.json] [--timeline mock/timelines/demo.json] [--port 30000]
+ *             [--prefix foundry] [--quiet]
+ *
+ * then start the app with `yarn start`, which proxies the Foundry routes to it.
+ */
+const path = require("path");
+const { createMockServer } = require("./server");
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const world = option(
+  "world",
+  path.join(__dirname, "worlds", "goblin-cave.json")
+);
+const timeline = option("timeline", null);
+const port = Number(option("port", 30000));
+const mock = createMockServer({
+  world,
+  routePrefix: option("prefix", ""),
+  log: !process.argv.includes("--quiet"),
+});
+
+mock.listen(port).then((port) => {
+  console.log(
+    `Mock Foundry VTT server for "${mock.state.world.title}" on http://localhost:${port}`
+  );
+  console.log(
+    `Users: ${mock.state.users
+      .map(
+        (u) =>
+          `${u.name} (${u.password ? "password " + u.password : "no password"})`
+      )
+      .join(", ")}`
+  );
+  if (timeline) mock.play(timeline).then(() => console.log("Timeline over"));
+});
@@ -0,0 +1,507 @@
+/**
+ * A local stand-in for a Foundry VTT server, for development and integration tests.
+ *
+ * It serves the join page and speaks the socket.io events the TinyClient uses, on top of a fixture world loaded from
+ * JSON. Documents are kept in memory, so changes made by clients or by a scripted timeline are seen by everybody
+ * connected until the server is closed.
+ */
+const http = require("http");
+const fs = require("fs");
+const crypto = require("crypto");
+const express = require("express");
+const socketio = require("socket.io");
+
+/**
+ * The world data collections of each document type
+ */
+const COLLECTIONS = {
+  Actor: "actors",
+  ChatMessage: "messages",
+  Combat: "combat",
+  Folder: "folders",
+  Item: "items",
+  JournalEntry: "journal",
+  Macro: "macros",
+  Playlist: "playlists",
+  RollTable: "tables",
+  Scene: "scenes",
+  User: "users",
+};
+
+/**
+ * The collections of embedded document types within their parent data
+ */
+const EMBEDDED = {
+  ActiveEffect: "effects",
+  AmbientLight: "lights",
+  AmbientSound: "sounds",
+  Combatant: "combatants",
+  Drawing: "drawings",
+  MeasuredTemplate: "templates",
+  Note: "notes",
+  OwnedItem: "items",
+  Tile: "tiles",
+  Token: "tokens",
+  Wall: "walls",
+};
+
+/**
+ * Default data of created documents, where the server fills in what clients leave out
+ */
+const DEFAULTS = {
+  ChatMessage: () => ({
+    type: 0,
+    timestamp: Date.now(),
+    speaker: {},
+    whisper: [],
+    blind: false,
+    flags: {},
+  }),
+};
+
+function randomId() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+function duplicate(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/**
+ * Expand "a.b.c" keys into nested objects
+ */
+function expand(data) {
+  const expanded = {};
+  for (const [key, value] of Object.entries(data)) {
+    const path = key.split(".");
+    let target = expanded;
+    for (const part of path.slice(0, -1)) {
+      if (!isObject(target[part])) target[part] = {};
+      target = target[part];
+    }
+    const last = path[path.length - 1];
+    target[last] = isObject(value) ? expand(value) : value;
+  }
+  return expanded;
+}
+
+/**
+ * Merge an update into document data the way Foundry does, "-=key": null deleting the key
+ */
+function merge(original, update) {
+  for (const [key, value] of Object.entries(update)) {
+    if (key.startsWith("-=")) {
+      delete original[key.slice(2)];
+    } else if (isObject(value) && isObject(original[key])) {
+      merge(original[key], value);
+    } else {
+      original[key] = duplicate(value);
+    }
+  }
+  return original;
+}
+
+/**
+ * Read a fixture world or timeline from a JSON file
+ * @param {string} path
+ * @return {Object}
+ */
+function loadJSON(path) {
+  return JSON.parse(fs.readFileSync(path, "utf8"));
+}
+
+/**
+ * Create a mock Foundry VTT server
+ *
+ * @param {Object} options
+ * @param {Object|string} options.world      The fixture world data, or the path of its JSON file
+ * @param {boolean} [options.log]            Log the socket traffic to the console
+ * @param {string} [options.routePrefix]     Serve Foundry under this path, as behind a reverse proxy, e.g. "foundry"
+ * @return {Object}                          The server, see the returned methods
+ */
+function createMockServer({ world, log = false, routePrefix = "" } = {}) {
+  const fixture = typeof world === "string" ? loadJSON(world) : world;
+  const state = duplicate(fixture);
+  const sessions = new Map();
+  const timers = new Set();
+  let running = true;
+
+  const app = express();
+  const server = http.createServer(app);
+  const prefix = routePrefix ? `/${routePrefix.replace(/^\/+|\/+$/g, "")}` : "";
+  const io = socketio(server, {
+    serveClient: false,
+    path: `${prefix}/socket.io`,
+  });
+  const print = (...args) => log && console.log("[mock]", ...args);
+
+  /* -------------------------------------------- */
+  /*  Join page                                   */
+  /* -------------------------------------------- */
+
+  app.use(express.urlencoded({ extended: false }));
+
+  // Let a client served from another origin log in, e.g. the integration tests
+  app.use((req, res, next) => {
+    if (req.headers.origin) {
+      res.set("Access-Control-Allow-Origin", req.headers.origin);
+      res.set("Access-Control-Allow-Credentials", "true");
+    }
+    next();
+  });
+
+  // Without a running World, Foundry sends the players to the setup screen
+  app.get(`${prefix}/setup`, (req, res) => {
+    res.send(`<!DOCTYPE html>
+<html>
+<head><title>Foundry Virtual Tabletop</title></head>
+<body><section id="setup-configuration"></section></body>
+</html>`);
+  });
+
+  // The markup the login view reads the user list from
+  app.get(`${prefix}/join`, (req, res) => {
+    if (!running) return res.redirect(`${prefix}/setup`);
+    const options = state.users
+      .map((u) => `<option value="${u._id}">${u.name}</option>`)
+      .join("");
+    res.send(`<!DOCTYPE html>
+<html>
+<head><title>${state.world.title}</title></head>
+<body>
+<form id="join-form" method="post">
+  <div class="form-group split">
+    <label>Select User</label>
+    <select name="userid" required>${options}</select>
+  </div>
+  <div class="form-group">
+    <label>Password</label>
+    <input type="password" name="password">
+  </div>
+  <button type="submit" name="join">Join Game Session</button>
+</form>
+</body>
+</html>`);
+  });
+
+  app.post(`${prefix}/join`, (req, res) => {
+    if (!running) {
+      return res.status(503).json({
+        status: "failed",
+        error: "There is no game World currently running",
+      });
+    }
+    const user = state.users.find((u) => u._id === req.body.userid);
+    if (!user || (user.password || "") !== (req.body.password || "")) {
+      print("rejected join of", req.body.userid);
+      return res.status(401).json({
+        status: "failed",
+        error: `Incorrect password for User ${user ? user.name : ""}`,
+      });
+    }
+    if (connectedUsers().includes(user._id)) {
+      print("rejected join of", user.name, "already connected");
+      return res.status(403).json({
+        status: "failed",
+        error: `User ${user.name} is already connected to the game session`,
+      });
+    }
+    // As Foundry, log in the session of the browser rather than opening another one
+    const session = sessions.has(sessionCookie(req))
+      ? sessionCookie(req)
+      : randomId();
+    sessions.set(session, user._id);
+    print("joined as", user.name);
+    res.cookie("session", session, { path: "/" });
+    res.json({
+      status: "success",
+      message: `JOIN.LoginSuccess`,
+      redirect: `${prefix}/game`,
+    });
+  });
+
+  function sessionCookie(req) {
+    const cookie = (req.headers.cookie || "")
+      .split(/;\s*/)
+      .find((c) => c.startsWith("session="));
+    return cookie ? decodeURIComponent(cookie.slice("session=".length)) : null;
+  }
+
+  /* -------------------------------------------- */
+  /*  Documents                                   */
+  /* -------------------------------------------- */
+
+  function userIdOf(socket) {
+    return sessions.get(socket.handshake.query.session) || null;
+  }
+
+  /**
+   * The ids of the users with a connected client
+   */
+  function connectedUsers() {
+    return Object.values(io.sockets.sockets)
+      .map(userIdOf)
+      .filter((id) => id !== null);
+  }
+
+  function worldData(userId) {
+    if (!running) return { world: null, userId: null };
+    const data = duplicate(state);
+    data.users.forEach((u) => delete u.password);
+    data.userId = userId;
+    return data;
+  }
+
+  /**
+   * Apply a modifyDocument request to the world and build the response broadcast to every client
+   */
+  function modifyDocument(request, userId = null) {
+    const { type, action, options = {} } = request;
+    const collection = state[COLLECTIONS[type]];
+    if (!collection)
+      return { request, error: { message: `Unknown type ${type}` } };
+    const data = [].concat(request.data || []);
+    let result = [];
+    switch (action) {
+      case "create":
+        result = data.map((d) => {
+          const defaults = DEFAULTS[type] ? DEFAULTS[type]() : {};
+          const created = { _id: randomId(), ...defaults, ...expand(d) };
+          collection.push(created);
+          return duplicate(created);
+        });
+        break;
+      case "update":
+        result = data
+          .map((d) => {
+            const doc = collection.find((e) => e._id === d._id);
+            if (!doc) return null;
+            const update = expand(d);
+            merge(doc, update);
+            // Only one Scene is active at a time
+            if (type === "Scene" && update.active === true) {
+              collection
+                .filter((e) => e._id !== doc._id)
+                .forEach((e) => (e.active = false));
+            }
+            return update;
+          })
+          .filter((d) => d !== null);
+        break;
+      case "delete": {
+        const ids = options.deleteAll ? collection.map((e) => e._id) : data;
+        result = ids.filter((id) => collection.some((e) => e._id === id));
+        state[COLLECTIONS[type]] = collection.filter(
+          (e) => !result.includes(e._id)
+        );
+        break;
+      }
+      default:
+        return { request, error: { message: `Unknown action ${action}` } };
+    }
+    return { request: { ...request, options }, result, userId };
+  }
+
+  /**
+   * Apply a modifyEmbeddedDocument request to the world and build the response broadcast to every client
+   */
+  function modifyEmbeddedDocument(request, userId = null) {
+    const { parentType, parentId, type, action, options = {} } = request;
+    const parents = state[COLLECTIONS[parentType]] || [];
+    const parent = parents.find((p) => p._id === parentId);
+    const name = EMBEDDED[type];
+    if (!parent || !name)
+      return {
+        request,
+        error: { message: `Unknown ${parentType} ${parentId}` },
+      };
+    parent[name] = parent[name] || [];
+    const data = [].concat(request.data || []);
+    let result = [];
+    switch (action) {
+      case "create":
+        result = data.map((d) => {
+          const created = { _id: randomId(), ...expand(d) };
+          parent[name].push(created);
+          return duplicate(created);
+        });
+        break;
+      case "update":
+        result = data
+          .map((d) => {
+            const doc = parent[name].find((e) => e._id === d._id);
+            if (!doc) return null;
+            const update = expand(d);
+            merge(doc, update);
+            return update;
+          })
+          .filter((d) => d !== null);
+        break;
+      case "delete": {
+        const ids = options.deleteAll ? parent[name].map((e) => e._id) : data;
+        result = ids.filter((id) => parent[name].some((e) => e._id === id));
+        parent[name] = parent[name].filter((e) => !result.includes(e._id));
+        break;
+      }
+      default:
+        return { request, error: { message: `Unknown action ${action}` } };
+    }
+    return { request: { ...request, options }, result, userId };
+  }
+
+  /* -------------------------------------------- */
+  /*  Socket                                      */
+  /* -------------------------------------------- */
+
+  io.on("connection", (socket) => {
+    const userId = running ? userIdOf(socket) : null;
+    print("connected", userId || "without a valid session");
+
+    socket.on("world", (ack) => ack(worldData(userId)));
+    socket.on("getSetupData", (ack) =>
+      ack({ worlds: [state.world], systems: [state.system], modules: [] })
+    );
+    socket.on("getWorldStatus", (ack) => ack(true));
+
+    socket.on("modifyDocument", (request, ack) => {
+      print("modifyDocument", request.type, request.action);
+      const response = modifyDocument(request, userId);
+      if (!response.error) socket.broadcast.emit("modifyDocument", response);
+      if (ack) ack(response);
+    });
+
+    socket.on("modifyEmbeddedDocument", (request, ack) => {
+      print("modifyEmbeddedDocument", request.type, request.action);
+      const response = modifyEmbeddedDocument(request, userId);
+      if (!response.error)
+        socket.broadcast.emit("modifyEmbeddedDocument", response);
+      if (ack) ack(response);
+    });
+
+    socket.on("pause", (paused) => {
+      state.paused = paused;
+      socket.broadcast.emit("pause", paused);
+    });
+
+    socket.on("userActivity", (activityUserId, activity) => {
+      socket.broadcast.emit("userActivity", activityUserId, activity);
+    });
+  });
+
+  /* -------------------------------------------- */
+  /*  Scripting                                   */
+  /* -------------------------------------------- */
+
+  /**
+   * Run one step of a timeline, see play
+   */
+  function run(step) {
+    if (step.modifyDocument) {
+      const response = modifyDocument(step.modifyDocument, step.userId);
+      if (!response.error) io.emit("modifyDocument", response);
+      return response;
+    }
+    if (step.modifyEmbeddedDocument) {
+      const response = modifyEmbeddedDocument(
+        step.modifyEmbeddedDocument,
+        step.userId
+      );
+      if (!response.error) io.emit("modifyEmbeddedDocument", response);
+      return response;
+    }
+    if (step.pause !== undefined) {
+      state.paused = step.pause;
+      io.emit("pause", step.pause);
+    }
+    if (step.userActivity) {
+      io.emit("userActivity", step.userActivity.userId, step.userActivity);
+    }
+    if (step.disconnect) {
+      Object.values(io.sockets.sockets).forEach((s) => s.disconnect(true));
+    }
+  }
+
+  function wait(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        resolve();
+      }, ms);
+      timers.add(timer);
+    });
+  }
+
+  /**
+   * Play a scripted timeline of events. Each step waits `wait` milliseconds after the previous one, then either
+   * applies a `modifyDocument` or `modifyEmbeddedDocument` request as if a Foundry client had sent it, sets `pause`,
+   * emits a `userActivity` or, with `disconnect: true`, drops every connected client.
+   *
+   * @param {Object[]|Object|string} timeline   The steps, {loop, steps}, or the path of a JSON file holding either
+   * @return {Promise}                           Resolved once the timeline is over, never for looping timelines
+   */
+  async function play(timeline) {
+    if (typeof timeline === "string") timeline = loadJSON(timeline);
+    const { steps, loop } = Array.isArray(timeline)
+      ? { steps: timeline, loop: false }
+      : timeline;
+    do {
+      for (const step of steps) {
+        await wait(step.wait || 0);
+        print("timeline", step.comment || Object.keys(step).join(" "));
+        run(step);
+      }
+    } while (loop && server.listening);
+  }
+
+  return {
+    app,
+    io,
+    server,
+    state,
+    play,
+    run,
+
+    /**
+     * Open a session for a user as POST /join would, for clients which set the cookie themselves
+     * @param {string} userId
+     * @return {string}         The session id
+     */
+    join(userId) {
+      const session = randomId();
+      sessions.set(session, userId);
+      return session;
+    },
+
+    /**
+     * Shut the World down, as when the GM returns to the setup screen, which drops every connected client, or
+     * launch it again
+     * @param {boolean} value
+     */
+    setRunning(value) {
+      running = value;
+      if (!running) run({ disconnect: true });
+    },
+
+    /**
+     * @param {number} [port]   The port to listen on, a free one by default
+     * @return {Promise<number>} The port listened on
+     */
+    listen(port = 0) {
+      return new Promise((resolve) =>
+        server.listen(port, () => resolve(server.address().port))
+      );
+    },
+
+    close() {
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+      return new Promise((resolve) => io.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { createMockServer, loadJSON };
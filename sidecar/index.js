@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Run the view link sidecar
+ *
+ *   node sidecar [--foundry http://localhost:30000] [--prefix foundry] [--port 30001] [--host 127.0.0.1]
+ *                [--data sidecar/data.json] [--build build] [--quiet]
+ *
+ * then create view links from the menu, once logged in to Foundry VTT.
+ */
+const path = require("path");
+const { createSidecar } = require("./server");
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const sidecar = createSidecar({
+  foundry: option(
+    "foundry",
+    process.env.FOUNDRY_URL || "http://localhost:30000"
+  ),
+  routePrefix: option("prefix", ""),
+  data: option("data", path.join(__dirname, "data.json")),
+  build: option("build", path.join(__dirname, "..", "build")),
+  log: !process.argv.includes("--quiet"),
+});
+
+sidecar
+  .listen(Number(option("port", 30001)), option("host", "127.0.0.1"))
+  .then((port) => {
+    console.log(`View link sidecar on http://localhost:${port}`);
+    console.log(
+      `${sidecar.store.tokens.length} view link(s), kept in ${sidecar.store.file}`
+    );
+  });
@@ -0,0 +1,289 @@
+/**
+ * A small local server which lets a streaming software show the views without logging in to Foundry VTT.
+ *
+ * A logged in user creates view links from the menu: the sidecar keeps the Foundry session of that user, and gives
+ * the browser sources holding a view token a read-only socket to Foundry through that session. It also serves the
+ * built views, and forwards the other requests, e.g. images, to Foundry, so that a view link is all a browser source
+ * needs.
+ */
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const socketio = require("socket.io");
+const ioClient = require("socket.io-client");
+const { createProxyMiddleware } = require("http-proxy-middleware");
+const { TokenStore } = require("./tokens");
+const { viewCollections, filterWorld, forwardsEvent } = require("./views");
+
+/**
+ * The socket events a view may send to Foundry, which only read data
+ */
+const READ_EVENTS = ["world", "getWorldStatus"];
+
+/**
+ * How long to wait for Foundry to answer when checking a session, in milliseconds
+ */
+const SESSION_TIMEOUT = 5000;
+
+/**
+ * The longest delay of a timer, in milliseconds, past which setTimeout fires right away
+ */
+const MAX_TIMER = 2 ** 31 - 1;
+
+/**
+ * Create the sidecar
+ *
+ * @param {Object} options
+ * @param {string} options.foundry            The origin of the Foundry VTT server
+ * @param {string} [options.routePrefix]      The route prefix of Foundry VTT, e.g. "foundry"
+ * @param {string|null} [options.data]        The JSON file the view tokens are kept in, in memory if null
+ * @param {string|null} [options.build]       The directory of the built views, not served if null or missing
+ * @param {boolean} [options.log]             Log the view connections to the console
+ * @return {Object}                           The server, see the returned methods
+ */
+function createSidecar({
+  foundry,
+  routePrefix = "",
+  data = null,
+  build = null,
+  log = false,
+} = {}) {
+  const prefix = routePrefix ? `/${routePrefix.replace(/^\/+|\/+$/g, "")}` : "";
+  const store = new TokenStore(data);
+  const print = (...args) => log && console.log("[sidecar]", ...args);
+
+  const app = express();
+  const server = http.createServer(app);
+  const io = socketio(server, { serveClient: false });
+
+  /**
+   * Connect to Foundry with a session
+   */
+  function connectUpstream(session) {
+    return ioClient(foundry, {
+      path: `${prefix}/socket.io`,
+      transports: ["websocket"],
+      query: { session },
+    });
+  }
+
+  /**
+   * Find the user of a Foundry session
+   * @return {Promise<Object|null>}   The user, or null if the session is not logged in
+   */
+  function sessionUser(session) {
+    return new Promise((resolve) => {
+      const upstream = connectUpstream(session);
+      const done = (user) => {
+        clearTimeout(timeout);
+        upstream.disconnect();
+        resolve(user);
+      };
+      const timeout = setTimeout(() => done(null), SESSION_TIMEOUT);
+      upstream.emit("world", (world) => {
+        const user =
+          world && world.userId
+            ? world.users.find((u) => u._id === world.userId)
+            : null;
+        done(user || null);
+      });
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  View links                                  */
+  /* -------------------------------------------- */
+
+  // The menu creating the links is served by Foundry, from another origin
+  app.use("/api", (req, res, next) => {
+    if (req.headers.origin) {
+      res.set("Access-Control-Allow-Origin", req.headers.origin);
+      res.set("Access-Control-Allow-Headers", "Authorization, Content-Type");
+      res.set("Access-Control-Allow-Methods", "GET, POST, DELETE");
+    }
+    if (req.method === "OPTIONS") return res.sendStatus(204);
+    next();
+  });
+  app.use("/api", express.json());
+
+  // Every request carries the Foundry session of the user, as "Authorization: Session <id>"
+  app.use("/api", async (req, res, next) => {
+    const [scheme, session] = (req.headers.authorization || "").split(" ");
+    const user =
+      scheme === "Session" && session ? await sessionUser(session) : null;
+    if (!user) {
+      return res.status(401).json({
+        status: "failed",
+        error: "Log in to Foundry VTT to manage the view links",
+      });
+    }
+    req.session = session;
+    req.user = user;
+    next();
+  });
+
+  const describe = (record) => ({
+    id: record.id,
+    token: record.token,
+    label: record.label,
+    views: record.views,
+    created: record.created,
+    expires: record.expires,
+  });
+
+  app.get("/api/tokens", (req, res) => {
+    res.json(store.list(req.user._id).map(describe));
+  });
+
+  app.post("/api/tokens", (req, res) => {
+    const { views, expiresIn, label } = req.body || {};
+    try {
+      const record = store.create({
+        session: req.session,
+        userId: req.user._id,
+        userName: req.user.name,
+        views,
+        expiresIn,
+        label,
+      });
+      print("view link", record.id, "created by", req.user.name);
+      res.json(describe(record));
+    } catch (err) {
+      res.status(400).json({ status: "failed", error: err.message });
+    }
+  });
+
+  app.delete("/api/tokens/:id", (req, res) => {
+    if (!store.revoke(req.params.id, req.user._id)) {
+      return res
+        .status(404)
+        .json({ status: "failed", error: "There is no such view link" });
+    }
+    print("view link", req.params.id, "revoked by", req.user.name);
+
+    // Drop the views still connected with the link
+    Object.values(io.sockets.sockets)
+      .filter((s) => s.record && s.record.id === req.params.id)
+      .forEach((s) => s.disconnect(true));
+    res.json({ status: "success" });
+  });
+
+  /* -------------------------------------------- */
+  /*  Views                                       */
+  /* -------------------------------------------- */
+
+  // The views connect with their token and the name of the view shown, which the link must give access to
+  io.use((socket, next) => {
+    const { token, view } = socket.handshake.query;
+    const record = store.verify(token);
+    if (!record) {
+      return next(new Error("This view link is invalid, expired or revoked"));
+    }
+    if (!view) {
+      return next(new Error("Name the view shown with the view link"));
+    }
+    if (!record.views.includes(view)) {
+      return next(
+        new Error(`This view link does not give access to the ${view} view`)
+      );
+    }
+    socket.record = record;
+    socket.collections = viewCollections(view, record.views);
+    next();
+  });
+
+  io.on("connection", (socket) => {
+    const { record, collections } = socket;
+    print("view connected with link", record.id);
+    const upstream = connectUpstream(record.session);
+
+    // What Foundry sends about the data the view shows goes to the view
+    const onevent = upstream.onevent;
+    upstream.onevent = (packet) => {
+      const [event, ...args] = packet.data;
+      if (forwardsEvent(collections, event, args)) socket.emit(...packet.data);
+      return onevent.call(upstream, packet);
+    };
+
+    // The view only reads, any other request is refused
+    socket.use(([event, ...args], next) => {
+      const ack = args[args.length - 1];
+      if (event === "world" && typeof ack === "function") {
+        upstream.emit("world", (world) =>
+          ack(filterWorld(world, collections, record.views))
+        );
+      } else if (READ_EVENTS.includes(event)) upstream.emit(event, ...args);
+      else if (typeof ack === "function") {
+        ack({
+          request: args[0],
+          error: { message: "View links are read-only" },
+        });
+      }
+    });
+
+    // Drop the view once the link expires, the token is only checked when the view connects
+    let expiry;
+    const expire = () => {
+      const left = record.expires - Date.now();
+      if (left > 0) expiry = setTimeout(expire, Math.min(left, MAX_TIMER));
+      else {
+        print("view link", record.id, "expired");
+        socket.disconnect(true);
+      }
+    };
+    expire();
+
+    // Let the view reconnect, and catch up, when Foundry is restarted
+    upstream.on("disconnect", () => socket.disconnect(true));
+    socket.on("disconnect", () => {
+      clearTimeout(expiry);
+      upstream.disconnect();
+    });
+  });
+
+  /* -------------------------------------------- */
+  /*  Files                                       */
+  /* -------------------------------------------- */
+
+  if (build && fs.existsSync(path.join(build, "index.html"))) {
+    app.use(express.static(build, { index: false }));
+
+    // The routes of the views, which have no extension unlike the files of Foundry
+    app.get(/^\/[^.]*$/, (req, res) =>
+      res.sendFile(path.join(build, "index.html"))
+    );
+  }
+  app.use(
+    createProxyMiddleware({
+      target: foundry,
+      changeOrigin: true,
+      pathRewrite: (p) => prefix + p,
+      logLevel: "warn",
+    })
+  );
+
+  return {
+    app,
+    io,
+    server,
+    store,
+
+    /**
+     * @param {number} [port]   The port to listen on, a free one by default
+     * @param {string} [host]   The interface to listen on, only this machine by default
+     * @return {Promise<number>} The port listened on
+     */
+    listen(port = 0, host = "127.0.0.1") {
+      return new Promise((resolve) =>
+        server.listen(port, host, () => resolve(server.address().port))
+      );
+    },
+
+    close() {
+      return new Promise((resolve) => io.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { createSidecar };
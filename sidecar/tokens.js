@@ -0,0 +1,181 @@
+/**
+ * The view links issued by the sidecar.
+ *
+ * A view token is `<payload>.<signature>`, the payload being the base64url JSON {id, views, exp} and the signature
+ * its HMAC-SHA256 with the secret of the sidecar. A token is only accepted while it is signed by this sidecar, not
+ * expired, and still in the store, so deleting it from the store revokes it.
+ */
+const fs = require("fs");
+const crypto = require("crypto");
+
+/**
+ * The longest a view link may be valid, in seconds
+ */
+const MAX_EXPIRY = 90 * 24 * 3600;
+
+function base64url(buffer) {
+  return Buffer.from(buffer)
+    .toString("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
+
+function fromBase64url(text) {
+  return Buffer.from(text.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+class TokenStore {
+  /**
+   * @param {string|null} file    The JSON file the secret and the tokens are kept in, or null to keep them in memory
+   */
+  constructor(file = null) {
+    this.file = file;
+    const data =
+      file && fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, "utf8"))
+        : {};
+
+    /**
+     * The secret the tokens are signed with
+     * @type {string}
+     */
+    this.secret = data.secret || crypto.randomBytes(32).toString("hex");
+
+    /**
+     * The issued tokens, with the Foundry session they give access through
+     * @type {Object[]}
+     */
+    this.tokens = data.tokens || [];
+    this.save();
+  }
+
+  /* -------------------------------------------- */
+
+  sign(payload) {
+    return base64url(
+      crypto.createHmac("sha256", this.secret).update(payload).digest()
+    );
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Drop the expired tokens and write the store, readable by its owner only
+   */
+  save() {
+    const now = Date.now();
+    this.tokens = this.tokens.filter((t) => t.expires > now);
+    if (!this.file) return;
+    fs.writeFileSync(
+      this.file,
+      JSON.stringify({ secret: this.secret, tokens: this.tokens }, null, 2),
+      { mode: 0o600 }
+    );
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Issue a view token
+   *
+   * @param {Object} options
+   * @param {string} options.session      The Foundry session the views connect through
+   * @param {string} options.userId       The Foundry user of the session
+   * @param {string} options.userName
+   * @param {string[]} options.views      The views the token gives access to
+   * @param {number} options.expiresIn    How long the token is valid, in seconds
+   * @param {string} [options.label]      What the link is for, e.g. "OBS party HUD"
+   * @return {Object}                     The token record
+   */
+  create({ session, userId, userName, views, expiresIn, label = "" }) {
+    if (!Array.isArray(views) || !views.length) {
+      throw new Error("A view link gives access to at least one view");
+    }
+    if (!(expiresIn > 0) || expiresIn > MAX_EXPIRY) {
+      throw new Error(
+        `A view link expires within ${MAX_EXPIRY / 24 / 3600} days`
+      );
+    }
+    const id = crypto.randomBytes(8).toString("hex");
+    const expires = Date.now() + expiresIn * 1000;
+    const payload = base64url(
+      JSON.stringify({ id, views, exp: Math.floor(expires / 1000) })
+    );
+    const record = {
+      id,
+      token: `${payload}.${this.sign(payload)}`,
+      label: String(label),
+      views: views.map(String),
+      userId,
+      userName,
+      session,
+      created: Date.now(),
+      expires,
+    };
+    this.tokens.push(record);
+    this.save();
+    return record;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Check a view token
+   * @param {string} token
+   * @return {Object|null}    The token record, or null when the token is invalid, expired or revoked
+   */
+  verify(token) {
+    if (typeof token !== "string") return null;
+    const [payload, signature] = token.split(".");
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(this.sign(payload));
+    const given = Buffer.from(signature);
+    if (
+      expected.length !== given.length ||
+      !crypto.timingSafeEqual(expected, given)
+    )
+      return null;
+
+    let id;
+    try {
+      id = JSON.parse(fromBase64url(payload).toString("utf8")).id;
+    } catch (err) {
+      return null;
+    }
+    const record = this.tokens.find((t) => t.id === id);
+    if (!record || record.expires <= Date.now()) return null;
+    return record;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * The tokens issued by a user
+   * @param {string} userId
+   * @return {Object[]}
+   */
+  list(userId) {
+    const now = Date.now();
+    return this.tokens.filter((t) => t.userId === userId && t.expires > now);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Revoke a token issued by a user
+   * @param {string} id
+   * @param {string} userId
+   * @return {boolean}      Whether there was such a token
+   */
+  revoke(id, userId) {
+    const count = this.tokens.length;
+    this.tokens = this.tokens.filter(
+      (t) => !(t.id === id && t.userId === userId)
+    );
+    this.save();
+    return this.tokens.length !== count;
+  }
+}
+
+module.exports = { TokenStore, MAX_EXPIRY };
@@ -0,0 +1,152 @@
+/**
+ * The world data a view link gives each view.
+ *
+ * A view link only gives access to the views it was issued for, so the sidecar only forwards a view the world data
+ * it shows: the party HUD gets the actors and scenes but not the chat log, the pause banner gets almost nothing.
+ * The collections of the world a view does not show are sent empty, and the changes made to them are not forwarded.
+ */
+
+/**
+ * The collections of the world data each built-in view shows
+ */
+const VIEW_DATA = {
+  partyhud: ["actors", "scenes", "combat", "users", "folders"],
+  partyhudlite: ["actors", "scenes", "combat", "users", "folders"],
+  partyeffects: ["actors", "scenes", "combat", "users", "folders"],
+  initiative: ["actors", "scenes", "combat"],
+  rollfeed: ["actors", "messages", "users"],
+  lowerthird: ["actors", "scenes", "messages", "users"],
+  scenetitle: ["scenes"],
+  pause: [],
+  status: ["users"],
+  template: ["actors", "scenes", "combat", "users", "folders"],
+};
+
+/**
+ * What the views registered by plugins get, which the sidecar knows nothing of
+ */
+const PLUGIN_DATA = [
+  "actors",
+  "scenes",
+  "combat",
+  "messages",
+  "users",
+  "folders",
+];
+
+/**
+ * The collections of the world data which may be filtered out
+ */
+const COLLECTIONS = [
+  "users",
+  "actors",
+  "scenes",
+  "combat",
+  "messages",
+  "folders",
+  "items",
+  "journal",
+  "macros",
+  "playlists",
+  "tables",
+  "packs",
+];
+
+/**
+ * The collection of the world data holding each document type
+ */
+const DOCUMENT_COLLECTIONS = {
+  User: "users",
+  Actor: "actors",
+  Scene: "scenes",
+  Combat: "combat",
+  ChatMessage: "messages",
+  Folder: "folders",
+};
+
+/**
+ * The world settings any view may read, see theme.js and template.js
+ */
+const SETTINGS_SCOPE = "streamdeck.";
+
+/**
+ * The collections of the world data a view is given. A dashboard shows the other views of the link as widgets, and
+ * gets what they show.
+ *
+ * @param {string} view         The view connecting
+ * @param {string[]} granted    The views the link gives access to
+ * @return {string[]}
+ */
+function viewCollections(view, granted) {
+  if (view === "dashboard") {
+    const widgets = granted.filter((v) => v !== "dashboard");
+    return [
+      ...new Set([].concat(...widgets.map((v) => VIEW_DATA[v] || PLUGIN_DATA))),
+    ];
+  }
+  return VIEW_DATA[view] || PLUGIN_DATA;
+}
+
+/**
+ * The world data given to a view
+ *
+ * @param {Object} world          The world data sent by Foundry
+ * @param {string[]} collections  The collections the view shows, see viewCollections
+ * @param {string[]} granted      The views the link gives access to, which the dashboard reads
+ * @return {Object}
+ */
+function filterWorld(world, collections, granted) {
+  if (!world || typeof world !== "object") return world;
+  const filtered = { ...world, viewLink: { views: granted } };
+  for (let collection of COLLECTIONS) {
+    if (!Array.isArray(world[collection]) || collections.includes(collection))
+      continue;
+    // Every view knows the user of the link
+    filtered[collection] =
+      collection === "users"
+        ? world.users.filter((u) => u._id === world.userId)
+        : [];
+  }
+  if (Array.isArray(world.settings)) {
+    filtered.settings = world.settings.filter((s) =>
+      (s.key || "").startsWith(SETTINGS_SCOPE)
+    );
+  }
+  return filtered;
+}
+
+/**
+ * Whether an event sent by Foundry is forwarded to a view: the changes of the collections it shows, and the pause
+ *
+ * @param {string[]} collections  The collections the view shows, see viewCollections
+ * @param {string} event
+ * @param {Array} args
+ * @return {boolean}
+ */
+function forwardsEvent(collections, event, args) {
+  const request = args[0] && args[0].request;
+  switch (event) {
+    case "modifyDocument":
+      if (request && request.type === "Setting") {
+        return []
+          .concat(args[0].result || [])
+          .every((s) => String((s && s.key) || "").startsWith(SETTINGS_SCOPE));
+      }
+      return (
+        !!request && collections.includes(DOCUMENT_COLLECTIONS[request.type])
+      );
+    case "modifyEmbeddedDocument":
+      return (
+        !!request &&
+        collections.includes(DOCUMENT_COLLECTIONS[request.parentType])
+      );
+    case "userActivity":
+      return collections.includes("users");
+    case "pause":
+      return true;
+    default:
+      return false;
+  }
+}
+
+module.exports = { VIEW_DATA, viewCollections, filterWorld, forwardsEvent };
@@ -1,71 +1,136 @@
-import React, { useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import "./App.css";
-import { BrowserRouter, Switch, Route, NavLink } from "react-router-dom";
+import { BrowserRouter, Switch, Route } from "react-router-dom";
 import Login from "./components/login";
-import PartyHUD from "./components/partyhud";
-import PartyHUDLite from "./components/partyhudlite";
-import PartyEffects from "./components/partyeffects";
-import { GameContext, init } from "./components/contextManager";
+import { PauseGate } from "./components/pause";
+import { HealthBadge } from "./components/status";
+import { RecordControls, ReplayControls } from "./components/recording";
+import Theme from "./components/theme";
+import { GameContext, createGame } from "./components/contextManager";
+import { getRuntimeConfig } from "./components/TinyClient/runtime";
+import { COMMON_OPTIONS, loadWorldPlugins, useViews } from "./components/views";
+import { ShownViewProvider, ViewHost } from "./components/viewSettings";
 
 // import Native from "./components/native";
 import Menu from "./components/menu";
 import "bootstrap/dist/css/bootstrap.min.css";
 
+/**
+ * Start loading the game once a page needing it is shown
+ */
+function StartGame({ start }) {
+  useEffect(start, [start]);
+  return null;
+}
+
+/**
+ * Render a page once the game is loaded, or while it loads with `withoutGame`, sending the browser to the login page
+ * without a logged in session
+ */
+function renderLoggedIn(game, start, render, withoutGame = false) {
+  return (props) => {
+    if (game === null)
+      return (
+        <>
+          <StartGame start={start} />
+          {withoutGame && render(props)}
+        </>
+      );
+    else if (game.data.userId === null)
+      props.history.push({
+        pathname: "login",
+        search: props.location.search,
+      });
+    else return render(props);
+  };
+}
+
+/**
+ * Render a registered view, with its stored settings and default options unless the URL sets them
+ */
+function renderView(view, props) {
+  return (
+    <ViewHost
+      view={view}
+      options={[...view.options, ...COMMON_OPTIONS]}
+      routeProps={props}
+    />
+  );
+}
+
 function App() {
   const [game, setGame] = useState(null);
+  const views = useViews();
+
+  // The modules of the World may register more views, before any is shown
+  const ready = useCallback(
+    (loaded) => loadWorldPlugins(loaded).then(() => setGame(loaded)),
+    []
+  );
+
+  // The game is only created once, however often the app renders while it loads, e.g. as plugins register views
+  const loading = useRef(null);
+  const start = useCallback(() => {
+    if (loading.current === null) loading.current = createGame(ready);
+  }, [ready]);
+  useEffect(() => () => loading.current && loading.current(), []);
+
   return (
     <div
       className="App"
       style={{ fontFamily: '"Signika", sans-serif', color: "#4b4a44" }}
     >
       <GameContext.Provider value={game}>
-        <BrowserRouter
-          basename={
-            window.location.href.includes("streamdeck")
-              ? "/modules/streamdeck"
-              : ""
-          }
-        >
-          <div>
-            <div className="content">
-              <Switch>
-                <Route path="/menu" component={Menu} />
-                <Route
-                  path="/partyhud"
-                  render={(props) => {
-                    if (game === null) init(setGame);
-                    else if (game.data.userId === null)
-                      props.history.push("login");
-                    else return <PartyHUD {...props} />;
-                  }}
-                />
-                <Route
-                  path="/partyhudlite"
-                  render={(props) => {
-                    if (game === null) init(setGame);
-                    else if (game.data.userId === null)
-                      props.history.push("login");
-                    else return <PartyHUDLite {...props} />;
-                  }}
-                />
-                <Route
-                  path="/partyeffects"
-                  render={(props) => {
-                    if (game === null) init(setGame);
-                    else if (game.data.userId === null)
-                      props.history.push("login");
-                    else return <PartyEffects {...props} />;
-                  }}
-                />
-                <Route
-                  path="/"
-                  render={(props) => (
-                    <Login {...props} setGame={setGame}></Login>
-                  )}
-                />
-              </Switch>
+        <BrowserRouter basename={getRuntimeConfig().basePath}>
+          <ShownViewProvider>
+            <div>
+              <div className="content">
+                <PauseGate>
+                  <Switch>
+                    <Route
+                      path="/menu"
+                      render={renderLoggedIn(game, start, (props) => (
+                        <Menu {...props} />
+                      ))}
+                    />
+                    {views.map((view) => (
+                      <Route
+                        key={view.id}
+                        path={"/" + view.id}
+                        render={renderLoggedIn(
+                          game,
+                          start,
+                          (props) => renderView(view, props),
+                          view.withoutGame
+                        )}
+                      />
+                    ))}
+                    <Route
+                      path="/login"
+                      render={(props) => <Login {...props} setGame={ready} />}
+                    />
+                    {/* A view of a World module is only registered once logged in */}
+                    <Route
+                      path="/:view([^./]+)"
+                      render={renderLoggedIn(game, start, (props) => (
+                        <small>
+                          There is no {props.match.params.view} view.
+                        </small>
+                      ))}
+                    />
+                    <Route
+                      path="/"
+                      render={(props) => <Login {...props} setGame={ready} />}
+                    />
+                  </Switch>
+                </PauseGate>
+                <HealthBadge />
+                <RecordControls />
+                <ReplayControls />
+                <Theme />
+              </div>
             </div>
-          </div>
+          </ShownViewProvider>
         </BrowserRouter>
       </GameContext.Provider>
     </div>
@@ -1,9 +1,1530 @@
-import React from 'react';
-import { render } from '@testing-library/react';
-import App from './App';
-
-test('renders learn react link', () => {
-  const { getByText } = render(<App />);
-  const linkElement = getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+import React from "react";
+import http from "http";
+import { fireEvent, render, wait } from "@testing-library/react";
+import io from "socket.io-client";
+import App from "./App";
+import { Game } from "./components/TinyClient/tiny";
+import { Hooks } from "./components/TinyClient/hooks";
+import { SocketRecorder } from "./components/TinyClient/replay";
+import { GameContext, useActor } from "./components/contextManager";
+import {
+  getRoute,
+  getRuntimeConfig,
+  loadRuntimeConfig,
+} from "./components/TinyClient/runtime";
+import { loadPlugins, worldPlugins } from "./components/views";
+import { parseLayout } from "./components/dashboard";
+import { selectActors } from "./components/actorSelection";
+import {
+  createAdapter,
+  getSystemAdapter,
+  registerSystemAdapter,
+} from "./components/TinyClient/systems";
+import { renderTemplate, sanitizeHtml } from "./components/templating";
+
+const path = require("path");
+const { createMockServer } = require("../mock/server");
+const { createSidecar } = require("../sidecar/server");
+
+const GM = "gmUser0000000001";
+const PLAYER = "playerUser000001";
+const SCENE = "sceneCave0000001";
+
+let mock;
+let port;
+
+/**
+ * Render the app at a path, logged in as a user of the mock world
+ */
+function open(url, userId) {
+  document.cookie = `session=${mock.join(userId)}`;
+  window.history.pushState({}, "", url);
+  return render(<App />);
+}
+
+/**
+ * Render the login page without a session
+ */
+function openLogin() {
+  document.cookie = "session=; expires=Thu, 01 Jan 1970 00:00:00 GMT";
+  window.history.pushState({}, "", "/");
+  return render(<App />);
+}
+
+/**
+ * Fill in the login form once the user list is loaded and submit it
+ */
+async function login({ findByText, container }, userName, password) {
+  await findByText(userName);
+  const select = container.querySelector("select");
+  select.value = [...select.options].find(
+    (o) => o.textContent === userName
+  ).value;
+  container.querySelector("input[type=password]").value = password;
+  const button = [...container.querySelectorAll("button")].find(
+    (b) => b.textContent === "Login"
+  );
+  fireEvent.click(button);
+}
+
+function request(
+  method,
+  url,
+  body,
+  headers = { "Content-Type": "application/x-www-form-urlencoded" }
+) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      url.startsWith("http") ? url : `http://localhost:${port}${url}`,
+      { method, headers },
+      (res) => {
+        let text = "";
+        res.on("data", (chunk) => (text += chunk));
+        res.on("end", () => resolve({ res, text }));
+      }
+    );
+    req.on("error", reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+function updateActor(data) {
+  mock.run({
+    modifyDocument: { type: "Actor", action: "update", data: [data] },
+  });
+}
+
+function updateToken(data) {
+  mock.run({
+    modifyEmbeddedDocument: {
+      parentType: "Scene",
+      parentId: SCENE,
+      type: "Token",
+      action: "update",
+      data: [data],
+    },
+  });
+}
+
+function createMessage(data) {
+  mock.run({
+    modifyDocument: { type: "ChatMessage", action: "create", data: [data] },
+  });
+}
+
+beforeEach(async () => {
+  mock = createMockServer({
+    world: path.join(__dirname, "..", "mock", "worlds", "goblin-cave.json"),
+  });
+  port = await mock.listen();
+  process.env.REACT_APP_FOUNDRY_URL = `http://localhost:${port}`;
+});
+
+/**
+ * Stop the client of the rendered app
+ */
+function closeGame() {
+  if (window.game) {
+    clearInterval(window.game._pingInterval);
+    window.game.socket.disconnect();
+    window.game = undefined;
+  }
+}
+
+afterEach(async () => {
+  closeGame();
+  await mock.close();
+});
+
+describe("mock server", () => {
+  it("lists the users on the join page", async () => {
+    const { text } = await request("GET", "/join");
+    expect(text).toContain('class="form-group split"');
+    expect(text).toContain(`<option value="${PLAYER}">Player One</option>`);
+  });
+
+  it("opens a session for the right password only", async () => {
+    const rejected = await request(
+      "POST",
+      "/join",
+      `userid=${PLAYER}&password=wrong`
+    );
+    expect(rejected.res.statusCode).toBe(401);
+
+    const accepted = await request(
+      "POST",
+      "/join",
+      `userid=${PLAYER}&password=secret`
+    );
+    expect(accepted.res.statusCode).toBe(200);
+    expect(accepted.res.headers["set-cookie"][0]).toMatch(/^session=/);
+  });
+
+  it("logs in the session of the browser rather than opening another one", async () => {
+    const session = mock.join(PLAYER);
+    const { res } = await request("POST", "/join", `userid=${GM}&password=`, {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Cookie: `session=${session}`,
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["set-cookie"][0]).toMatch(`session=${session};`);
+  });
+});
+
+describe("partyhud", () => {
+  it("shows the characters of the user and follows their hit points", async () => {
+    const { findByText, queryByText } = open("/partyhud", PLAYER);
+    await findByText("Aria");
+    expect(queryByText("Brom")).toBeNull();
+
+    updateActor({ _id: "actorAria0000001", "data.attributes.hp.value": 17 });
+    await findByText("-7");
+  });
+});
+
+describe("partyhudlite", () => {
+  it("shows the visible tokens of the scene, each with its own hit points", async () => {
+    const { findByText, queryByText, container } = open(
+      "/partyhudlite?tokens=true&sort=name",
+      GM
+    );
+    await findByText("Goblin Archer");
+    expect(queryByText("Goblin Boss")).not.toBeNull();
+    expect(queryByText("Lurker")).toBeNull();
+
+    updateToken({
+      _id: "tokenGoblinA0001",
+      "actorData.data.attributes.hp.value": 2,
+    });
+    await findByText("-3");
+    expect(container.textContent).not.toContain("+");
+  });
+});
+
+describe("partyeffects", () => {
+  it("shows the conditions of the token", async () => {
+    const { findAllByText } = open("/partyeffects", PLAYER);
+    expect((await findAllByText("blind.")).length).toBeGreaterThan(0);
+    expect((await findAllByText("poison,")).length).toBeGreaterThan(0);
+  });
+
+  it("names the unlinked tokens after themselves", async () => {
+    const { findByText } = open(
+      "/partyeffects?tokens=true&names=Goblin Archer,Goblin Boss",
+      GM
+    );
+    await findByText("Goblin Archer");
+    await findByText("Goblin Boss");
+  });
+});
+
+describe("initiative", () => {
+  it("shows the turn order without hidden combatants and follows the turn", async () => {
+    const { findByText, queryByText, container } = open("/initiative", GM);
+    await findByText("Round 1");
+    expect(queryByText("Lurker")).toBeNull();
+    const names = [...container.querySelectorAll(".initiative-name")].map(
+      (e) => e.textContent
+    );
+    expect(names).toEqual(["Aria", "Goblin Archer", "Brom"]);
+
+    mock.run({
+      modifyDocument: {
+        type: "Combat",
+        action: "update",
+        data: [{ _id: "combatCave000001", turn: 2, round: 2 }],
+      },
+    });
+    await findByText("Round 2");
+  });
+
+  it("only shows the encounter of the active scene", async () => {
+    const { findByText, queryByText } = open("/initiative", GM);
+    await findByText("Round 1");
+    mock.run({
+      modifyDocument: {
+        type: "Scene",
+        action: "update",
+        data: [
+          { _id: "sceneCave0000001", active: false },
+          { _id: "sceneTown0000001", active: true },
+        ],
+      },
+    });
+    await wait(() => expect(queryByText("Round 1")).toBeNull());
+    expect(window.game.combats.viewed).toBeNull();
+  });
+});
+
+describe("rollfeed", () => {
+  it("shows the public rolls made after it was opened", async () => {
+    const { findByText, queryByText } = open("/rollfeed", PLAYER);
+    await wait(() => expect(window.game && window.game.ready).toBe(true));
+    expect(queryByText("1d20 + 5")).toBeNull();
+
+    createMessage({
+      type: 5,
+      user: "playerUser000002",
+      content: "21",
+      speaker: { actor: "actorBrom0000001", alias: "Brom" },
+      roll: JSON.stringify({
+        class: "Roll",
+        formula: "1d20 + 6",
+        dice: [
+          {
+            class: "Die",
+            faces: 20,
+            rolls: [{ roll: 15, active: true }],
+            formula: "1d20",
+            options: {},
+          },
+        ],
+        parts: ["_d0", "+", 6],
+        result: "15 + 6",
+        total: 21,
+      }),
+    });
+    await findByText("1d20 + 6");
+    expect(queryByText("= 21")).not.toBeNull();
+  });
+});
+
+describe("lowerthird", () => {
+  it("shows in-character messages", async () => {
+    const { findByText } = open("/lowerthird", PLAYER);
+    await wait(() => expect(window.game && window.game.ready).toBe(true));
+
+    createMessage({
+      type: 2,
+      user: PLAYER,
+      content: "<p>Stay behind me, Brom!</p>",
+      speaker: { actor: "actorAria0000001", alias: "Aria" },
+    });
+    await findByText("Stay behind me, Brom!");
+  });
+});
+
+describe("scenetitle", () => {
+  it("shows the name of the scene the GM activates", async () => {
+    const { findByText } = open("/scenetitle", PLAYER);
+    await wait(() => expect(window.game && window.game.ready).toBe(true));
+
+    mock.run({
+      modifyDocument: {
+        type: "Scene",
+        action: "update",
+        data: [{ _id: "sceneTown0000001", active: true }],
+      },
+    });
+    await findByText("Riverside Town");
+  });
+});
+
+describe("pause", () => {
+  it("shows the banner while the game is paused", async () => {
+    const { findByText, queryByText } = open(
+      "/pause?text=Be right back",
+      PLAYER
+    );
+    await wait(() => expect(window.game && window.game.ready).toBe(true));
+    expect(queryByText("Be right back")).toBeNull();
+
+    mock.run({ pause: true });
+    await findByText("Be right back");
+    mock.run({ pause: false });
+    await wait(() => expect(queryByText("Be right back")).toBeNull());
+  });
+});
+
+describe("status", () => {
+  it("shows the connection and the logged in user", async () => {
+    const { findByText } = open("/status", PLAYER);
+    await findByText("Player One");
+    await findByText("Connected");
+  });
+
+  it("shows the diagnostics while the game is created, and when it failed", async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    let refuse;
+    const connect = jest
+      .spyOn(Game, "connect")
+      .mockReturnValue(new Promise((resolve, reject) => (refuse = reject)));
+    const { findByText } = open("/status", PLAYER);
+    await findByText("Connection status");
+    await findByText("Connecting");
+    refuse(new Error("This view link is invalid, expired or revoked"));
+    await findByText("Connection failed");
+    await findByText("This view link is invalid, expired or revoked");
+    connect.mockRestore();
+    error.mockRestore();
+  });
+
+  it("shows the connection while the game is created, and when it failed", async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    let refuse;
+    const connect = jest
+      .spyOn(Game, "connect")
+      .mockReturnValue(new Promise((resolve, reject) => (refuse = reject)));
+    const { findByText } = open("/partyhud?health=true", PLAYER);
+    await findByText("Connecting");
+    refuse(new Error("This view link is invalid, expired or revoked"));
+    await findByText("Connection failed");
+    connect.mockRestore();
+    error.mockRestore();
+  });
+
+  it("creates the game again once it failed", async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const connect = jest
+      .spyOn(Game, "connect")
+      .mockRejectedValueOnce(new Error("websocket error"));
+    const { findByText } = open("/partyhud?health=true", PLAYER);
+    await findByText("Connection failed");
+    await findByText("Aria");
+    expect(connect).toHaveBeenCalledTimes(2);
+    connect.mockRestore();
+    error.mockRestore();
+  });
+});
+
+describe("hooks", () => {
+  it("calls every callback, once or until it is removed", () => {
+    const calls = [];
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const id = Hooks.on("testHook", (v) => calls.push(["on", v]));
+    Hooks.once("testHook", (v) => calls.push(["once", v]));
+    Hooks.on("testHook", () => {
+      throw new Error("A broken callback");
+    });
+    const last = (v) => calls.push(["last", v]);
+    Hooks.on("testHook", last);
+
+    expect(Hooks.callAll("testHook", 1)).toBe(true);
+    Hooks.off("testHook", id);
+    Hooks.callAll("testHook", 2);
+    Hooks.off("testHook", last);
+    Hooks.callAll("testHook", 3);
+    // The broken callback does not keep the others from being called
+    expect(calls).toEqual([
+      ["on", 1],
+      ["once", 1],
+      ["last", 1],
+      ["last", 2],
+    ]);
+    expect(error).toHaveBeenCalledTimes(3);
+    error.mockRestore();
+  });
+
+  it("stops calling the callbacks when one returns false", () => {
+    const calls = [];
+    Hooks.on("testCall", () => calls.push("first") && false);
+    Hooks.on("testCall", () => calls.push("second"));
+    expect(Hooks.call("testCall")).toBe(false);
+    expect(calls).toEqual(["first"]);
+  });
+});
+
+describe("data hooks", () => {
+  function Hp({ id, renders }) {
+    const actor = useActor(id);
+    const hp = actor.data.data.attributes.hp.value;
+    renders.push(hp);
+    return <span>{hp} hp</span>;
+  }
+
+  it("rerenders a component only when its data changes, until it unmounts", async () => {
+    const { findByText } = open("/status", GM);
+    await findByText(/^Gamemaster/);
+    const listeners = () => (Hooks._hooks.updateActor || []).length;
+    const hooks = listeners();
+    const renders = [];
+    const probe = render(
+      <GameContext.Provider value={window.game}>
+        <Hp id="actorAria0000001" renders={renders} />
+      </GameContext.Provider>
+    );
+    await probe.findByText("24 hp");
+    expect(listeners()).toBe(hooks + 1);
+
+    const hp = (id) => window.game.actors.get(id).data.data.attributes.hp.value;
+    updateActor({ _id: "actorBrom0000001", "data.attributes.hp.value": 5 });
+    await wait(() => expect(hp("actorBrom0000001")).toBe(5));
+    updateActor({ _id: "actorAria0000001", "data.attributes.hp.value": 20 });
+    await probe.findByText("20 hp");
+    expect(renders).toEqual([24, 20]);
+
+    probe.unmount();
+    expect(listeners()).toBe(hooks);
+  });
+});
+
+describe("system adapters", () => {
+  const actor = (data, extra = {}) => ({
+    data: { type: "character", items: [], ...data },
+    token: { effects: ["icons/svg/blind.svg"] },
+    ...extra,
+  });
+
+  it("reads the hit points, defense, level and resources of each system", () => {
+    const dnd5e = getSystemAdapter("dnd5e");
+    const fighter = actor({
+      data: {
+        attributes: { hp: { value: 8, max: 12, temp: 3 }, ac: { value: 16 } },
+        details: { level: 3 },
+        resources: { primary: { label: "Ki", value: 2, max: 3 } },
+      },
+    });
+    expect(dnd5e.hp(fighter)).toEqual({ value: 8, max: 12, temp: 3 });
+    expect(dnd5e.ac(fighter)).toBe(16);
+    expect(dnd5e.level(fighter)).toBe(3);
+    expect(dnd5e.resources(fighter)).toEqual([
+      { label: "Ki", value: 2, max: 3 },
+    ]);
+    expect(dnd5e.conditions(fighter)).toEqual(["blind"]);
+    expect(
+      dnd5e.level(actor({ type: "npc", data: { details: { cr: 0.25 } } }))
+    ).toBe(0.25);
+
+    const pf2e = getSystemAdapter("pf2e");
+    const champion = actor({
+      data: {
+        attributes: {
+          hp: { value: 30, max: 40, temp: 0 },
+          ac: { value: 19 },
+          heroPoints: { rank: 1, max: 3 },
+        },
+        details: { level: { value: 4 } },
+      },
+      items: [
+        { type: "condition", name: "Frightened" },
+        { type: "weapon", name: "Longsword" },
+      ],
+    });
+    expect(pf2e.hp(champion)).toEqual({ value: 30, max: 40, temp: 0 });
+    expect(pf2e.ac(champion)).toBe(19);
+    expect(pf2e.level(champion)).toBe(4);
+    // The champion has no focus points
+    expect(pf2e.resources(champion)).toEqual([
+      { label: "Hero Points", value: 1, max: 3 },
+    ]);
+    expect(pf2e.conditions(champion)).toEqual(["Frightened"]);
+
+    const swade = getSystemAdapter("swade");
+    const scout = actor({
+      data: {
+        wounds: { value: 1, max: 3 },
+        stats: { parry: { value: 6 } },
+        advances: { rank: "Seasoned" },
+        bennies: { value: 2, max: 3 },
+      },
+    });
+    // The health is the number of wounds the actor can still take
+    expect(swade.hp(scout)).toEqual({ value: 2, max: 3, temp: null });
+    expect(swade.ac(scout)).toBe(6);
+    expect(swade.level(scout)).toBe("Seasoned");
+    expect(swade.resources(scout)).toEqual([
+      { label: "Bennies", value: 2, max: 3 },
+    ]);
+    expect(swade.hp(actor({ data: {} }))).toEqual({
+      value: null,
+      max: null,
+      temp: null,
+    });
+
+    const wfrp4e = getSystemAdapter("wfrp4e");
+    const soldier = actor({
+      data: {
+        status: {
+          wounds: { value: 9, max: 13 },
+          fortune: { value: 1 },
+          fate: { value: 2 },
+        },
+      },
+    });
+    expect(wfrp4e.hp(soldier)).toEqual({ value: 9, max: 13, temp: null });
+    expect(wfrp4e.ac(soldier)).toBeNull();
+    expect(wfrp4e.level(soldier)).toBeNull();
+    expect(wfrp4e.resources(soldier)).toEqual([
+      { label: "Fortune", value: 1, max: 2 },
+    ]);
+  });
+
+  it("falls back to the token bars for the other systems", () => {
+    const generic = getSystemAdapter("unknown-system");
+    const hero = actor({
+      data: { health: { value: 5, max: 10 }, mana: 7 },
+      token: { bar1: { attribute: "health" }, bar2: { attribute: "mana" } },
+    });
+    expect(generic.hp(hero)).toEqual({ value: 5, max: 10, temp: null });
+    expect(generic.ac(hero)).toBeNull();
+    expect(generic.resources(hero)).toEqual([
+      { label: "mana", value: 7, max: null },
+    ]);
+    expect(generic.hp(actor({ data: {}, token: {} }))).toEqual({
+      value: null,
+      max: null,
+      temp: null,
+    });
+
+    const custom = createAdapter({ hp: "data.life", maxHp: "data.maxLife" });
+    registerSystemAdapter("unknown-system", custom);
+    expect(
+      getSystemAdapter("unknown-system").hp(
+        actor({ data: { life: 2, maxLife: 4 } })
+      )
+    ).toEqual({
+      value: 2,
+      max: 4,
+      temp: null,
+    });
+  });
+});
+
+describe("actor selection", () => {
+  function selected(search) {
+    const game = window.game;
+    return selectActors(game, search).map((actor) => [
+      actor.isToken ? actor.token.name : actor.name,
+      getSystemAdapter(game.system.id).hp(actor).value,
+    ]);
+  }
+
+  it("shows the characters of the user without any selection", async () => {
+    const { findByText } = open("/status", GM);
+    await findByText(/^Gamemaster/);
+    expect(selected("")).toEqual([
+      ["Aria", 24],
+      ["Brom", 31],
+    ]);
+  });
+
+  it("selects the actors by owner, name and combat", async () => {
+    const { findByText } = open("/status", GM);
+    await findByText(/^Gamemaster/);
+    expect(selected("?owner=Player Two")).toEqual([["Brom", 31]]);
+    // Listed names keep their order
+    expect(selected("?names=Brom,Aria")).toEqual([
+      ["Brom", 31],
+      ["Aria", 24],
+    ]);
+    // The hidden Lurker, first in the turn order, does not put the Goblin first
+    expect(selected("?incombat=true&sort=initiative")).toEqual([
+      ["Aria", 24],
+      ["Goblin", 7],
+      ["Brom", 31],
+    ]);
+  });
+
+  it("sorts the tokens by hit points, lowest first unless reversed", async () => {
+    const { findByText } = open("/status", GM);
+    await findByText(/^Gamemaster/);
+    expect(selected("?tokens=true&sort=hp")).toEqual([
+      ["Goblin Archer", 5],
+      ["Goblin Boss", 12],
+      ["Aria", 24],
+      ["Brom", 31],
+    ]);
+    expect(selected("?tokens=true&sort=hp&order=desc")).toEqual([
+      ["Brom", 31],
+      ["Aria", 24],
+      ["Goblin Boss", 12],
+      ["Goblin Archer", 5],
+    ]);
+    expect(selected("?inscene=true&sort=name&order=desc")).toEqual([
+      ["Goblin", 7],
+      ["Brom", 31],
+      ["Aria", 24],
+    ]);
+  });
+});
+
+describe("reconnection", () => {
+  it("catches up with the changes missed while disconnected", async () => {
+    const { findByText } = open("/partyhud", PLAYER);
+    await findByText("Aria");
+
+    mock.run({ disconnect: true });
+    updateActor({ _id: "actorAria0000001", "data.attributes.hp.value": 20 });
+    await findByText("-4");
+  });
+
+  it("shows the connection as failed when it cannot catch up, until it does", async () => {
+    const { findByText } = open("/partyhud", PLAYER);
+    await findByText("Aria");
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const resync = jest
+      .spyOn(Game.prototype, "resync")
+      .mockRejectedValueOnce(new Error("Malformed World data"));
+
+    mock.run({ disconnect: true });
+    await wait(() => expect(window.game.connection.state).toBe("failed"));
+    await wait(() => expect(resync).toHaveBeenCalledTimes(2));
+    await wait(() => expect(window.game.connection.state).toBe("connected"));
+    resync.mockRestore();
+    error.mockRestore();
+  });
+});
+
+describe("record and replay", () => {
+  const fetch = window.fetch;
+  afterEach(() => (window.fetch = fetch));
+
+  it("replays a recorded session and seeks back in it", async () => {
+    const recorded = open("/partyhud?record=true", PLAYER);
+    await recorded.findByText("Aria");
+    updateActor({ _id: "actorAria0000001", "data.attributes.hp.value": 17 });
+    await recorded.findByText("-7");
+    const recording = JSON.parse(JSON.stringify(window.game.recorder));
+    expect(recording.world.userId).toBe(PLAYER);
+    expect(recording.events.map((e) => e.event)).toContain("modifyDocument");
+    recorded.unmount();
+    closeGame();
+
+    window.fetch = jest.fn(() =>
+      Promise.resolve({ ok: true, json: () => Promise.resolve(recording) })
+    );
+    const { findByText } = open("/partyhud?replay=session.json&speed=10");
+    await findByText("-7");
+    expect(window.fetch).toHaveBeenCalledWith("session.json");
+    await findByText("Play");
+
+    window.game.socket.seek(0);
+    await findByText("+7");
+  });
+
+  it("hides the recording indicator while OBS streams", async () => {
+    let streaming = false;
+    window.obsstudio = {
+      getStatus: (callback) => callback({ streaming, recording: false }),
+    };
+    try {
+      const { findByText, queryByText } = open("/partyhud?record=true", PLAYER);
+      await findByText("Save");
+      streaming = true;
+      window.dispatchEvent(new Event("obsStreamingStarted"));
+      await wait(() => expect(queryByText("Save")).toBeNull());
+      streaming = false;
+      window.dispatchEvent(new Event("obsStreamingStopped"));
+      await findByText("Save");
+    } finally {
+      delete window.obsstudio;
+    }
+  });
+
+  it("stops recording once the recording is full", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const socket = { emit: () => {}, onevent: () => {} };
+    const recorder = new SocketRecorder(socket, { maxEvents: 2 });
+    ["one", "two", "three"].forEach((event) =>
+      socket.onevent({ data: [event, {}] })
+    );
+    expect(recorder.events.map((e) => e.event)).toEqual(["one", "two"]);
+    expect(recorder.full).toBe(true);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+});
+
+describe("runtime configuration", () => {
+  const world = path.join(
+    __dirname,
+    "..",
+    "mock",
+    "worlds",
+    "goblin-cave.json"
+  );
+
+  it("detects the route prefix and base path of Foundry behind a reverse proxy", async () => {
+    await mock.close();
+    mock = createMockServer({ world, routePrefix: "foundry" });
+    port = await mock.listen();
+    process.env.REACT_APP_FOUNDRY_URL = `http://localhost:${port}`;
+
+    const { findByText } = open("/foundry/modules/streamdeck/partyhud", PLAYER);
+    expect(getRuntimeConfig().basePath).toBe("/foundry/modules/streamdeck");
+    expect(getRoute("join")).toBe("/foundry/join");
+    await findByText("Aria");
+  });
+
+  it("reads the settings from the query, but no server on another origin", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    window.history.pushState(
+      {},
+      "",
+      "/partyhud?routeprefix=/vtt/&basepath=overlays&server=https://example.com"
+    );
+    const config = getRuntimeConfig();
+    expect(config.routePrefix).toBe("vtt");
+    expect(config.basePath).toBe("/overlays");
+    expect(config.server).toBe(process.env.REACT_APP_FOUNDRY_URL);
+
+    // Another port of the same host
+    window.history.pushState({}, "", "/partyhud?server=http://localhost:8080");
+    expect(getRuntimeConfig().server).toBe(process.env.REACT_APP_FOUNDRY_URL);
+
+    window.history.pushState({}, "", "/partyhud?server=http://localhost/");
+    expect(getRuntimeConfig().server).toBe("http://localhost");
+    warn.mockRestore();
+  });
+
+  it("only reads a config chosen by the query from the page origin, without its server or plugins", async () => {
+    const fetch = window.fetch;
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    window.fetch = jest.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            server: "https://attacker.example.com",
+            sidecar: "https://attacker.example.com",
+            plugins: ["https://attacker.example.com/xss.js"],
+            theme: "neon",
+          }),
+      })
+    );
+    try {
+      window.history.pushState(
+        {},
+        "",
+        "/partyhud?config=https://attacker.example.com/config.json"
+      );
+      await loadRuntimeConfig();
+      expect(window.fetch).toHaveBeenLastCalledWith("./config.json", {
+        cache: "no-cache",
+      });
+
+      window.history.pushState({}, "", "/partyhud?config=/custom.json");
+      const config = await loadRuntimeConfig();
+      expect(window.fetch).toHaveBeenLastCalledWith(
+        "http://localhost/custom.json",
+        { cache: "no-cache" }
+      );
+      expect(config.theme).toBe("neon");
+      expect(config.server).toBe(process.env.REACT_APP_FOUNDRY_URL);
+      expect(config.sidecar).toBe("http://localhost:30001");
+      expect(config.plugins).toEqual([]);
+    } finally {
+      window.fetch = jest.fn(() =>
+        Promise.resolve({ ok: true, json: () => Promise.resolve({}) })
+      );
+      await loadRuntimeConfig();
+      window.fetch = fetch;
+      warn.mockRestore();
+    }
+  });
+});
+
+describe("login", () => {
+  const fetch = window.fetch;
+  beforeEach(() => window.localStorage.clear());
+  afterEach(() => (window.fetch = fetch));
+
+  it("reports a wrong password", async () => {
+    const page = openLogin();
+    await login(page, "Player One", "wrong");
+    await page.findByText("Incorrect password for User Player One");
+    expect(window.game).toBeUndefined();
+  });
+
+  it("logs in, then remembers the user and the session", async () => {
+    const page = openLogin();
+    await login(page, "Player One", "secret");
+    await wait(() => expect(window.game && window.game.ready).toBe(true));
+    expect(window.game.user.name).toBe("Player One");
+    page.unmount();
+    closeGame();
+
+    window.history.pushState({}, "", "/");
+    const { findByText, container } = render(<App />);
+    await findByText("Logged in as Player One");
+    expect(container.querySelector("select").value).toBe(PLAYER);
+  });
+
+  it("reports a failed connection to the server", async () => {
+    window.fetch = jest.fn(() =>
+      Promise.resolve({ text: () => Promise.resolve("<html></html>") })
+    );
+    const connect = jest
+      .spyOn(Game, "connect")
+      .mockRejectedValue(new Error("websocket error"));
+    const page = openLogin();
+    await page.findByText(/failed: websocket error$/);
+    connect.mockRestore();
+  });
+
+  it("reports a user already connected from another browser", async () => {
+    const other = io(`http://localhost:${port}`, {
+      query: { session: mock.join(PLAYER) },
+      transports: ["websocket"],
+    });
+    await new Promise((resolve) => other.on("connect", resolve));
+
+    const page = openLogin();
+    await login(page, "Player One", "secret");
+    await page.findByText(
+      "User Player One is already connected to the game session"
+    );
+    other.disconnect();
+  });
+
+  it("reports that no world is running", async () => {
+    mock.setRunning(false);
+    const { findByText } = openLogin();
+    await findByText(/No game world is running/);
+  });
+
+  it("reads the users from the world when the join page changed", async () => {
+    window.fetch = jest.fn((url, options) =>
+      options && options.method === "post"
+        ? fetch(url, options)
+        : Promise.resolve({ text: () => Promise.resolve("<html></html>") })
+    );
+    const page = openLogin();
+    await login(page, "Player Two", "");
+    await wait(() => expect(window.game && window.game.ready).toBe(true));
+    expect(window.game.user.name).toBe("Player Two");
+  });
+});
+
+describe("views", () => {
+  it("builds the URL of a view with its options", async () => {
+    const { findByText, findAllByText, container } = open("/menu", GM);
+    // The view is also listed among the ones a view link may give access to
+    const [entry] = await findAllByText("In-character lower third");
+    fireEvent.click(entry);
+    await wait(() =>
+      expect(container.querySelector("#option-dwell")).not.toBeNull()
+    );
+    fireEvent.change(container.querySelector("#option-dwell"), {
+      target: { value: "10" },
+    });
+    fireEvent.click(container.querySelector("#option-ooc"));
+    await findByText("http://localhost/lowerthird?dwell=10&ooc=true");
+    await findByText("1920 × 1080");
+
+    // The default value is left out
+    fireEvent.change(container.querySelector("#option-dwell"), {
+      target: { value: "6" },
+    });
+    await findByText("http://localhost/lowerthird?ooc=true");
+  });
+
+  it("copies the URL of a view, or shows it to be copied by hand", async () => {
+    const { findByText } = open("/menu", PLAYER);
+    await findByText("300 × 84");
+    const url = "http://localhost/partyhud";
+    const prompt = jest.spyOn(window, "prompt").mockImplementation(() => null);
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      // Without the clipboard API, e.g. on an origin served without HTTPS
+      fireEvent.click(await findByText("Copy"));
+      await wait(() =>
+        expect(prompt).toHaveBeenCalledWith(expect.any(String), url)
+      );
+
+      // When the permission is denied
+      const writeText = jest.fn().mockRejectedValue(new Error("Denied"));
+      navigator.clipboard = { writeText };
+      fireEvent.click(await findByText("Copy"));
+      await wait(() => expect(prompt).toHaveBeenCalledTimes(2));
+      expect(writeText).toHaveBeenCalledWith(url);
+
+      writeText.mockResolvedValue();
+      fireEvent.click(await findByText("Copy"));
+      await findByText("Copied");
+      expect(prompt).toHaveBeenCalledTimes(2);
+    } finally {
+      delete navigator.clipboard;
+      prompt.mockRestore();
+      warn.mockRestore();
+    }
+  });
+
+  it("only shows the preview of a view when asked to", async () => {
+    const { findByText, findAllByText, container } = open("/menu", GM);
+    const [entry] = await findAllByText("In-character lower third");
+    // The views are listed without a preview each
+    expect(container.querySelector("iframe")).toBeNull();
+    fireEvent.click(entry);
+    fireEvent.click(await findByText("Show the preview"));
+    expect(container.querySelectorAll("iframe").length).toBe(1);
+    expect(container.querySelector("iframe").getAttribute("src")).toBe(
+      "http://localhost/lowerthird"
+    );
+    fireEvent.click(await findByText("Hide the preview"));
+    expect(container.querySelector("iframe")).toBeNull();
+  });
+
+  it("suggests a size fitting the selected actors", async () => {
+    const { findByText } = open("/menu", PLAYER);
+    await findByText("300 × 84");
+  });
+
+  it("shows the views registered by plugins", async () => {
+    const Hello = (props) => (
+      <div>Hello {new URLSearchParams(props.location.search).get("name")}</div>
+    );
+    window.StreamDeck.registerView({
+      id: "hello",
+      title: "Hello",
+      component: Hello,
+      defaults: { name: "world" },
+    });
+    const { findByText } = open("/hello", PLAYER);
+    await findByText("Hello world");
+  });
+
+  it("creates one game however often views are registered while it loads", async () => {
+    const create = jest.spyOn(Game, "create");
+    const { findByText } = open("/partyhud", PLAYER);
+    ["late-one", "late-two"].forEach((id) =>
+      window.StreamDeck.registerView({ id, component: () => null })
+    );
+    await findByText("Aria");
+    expect(create).toHaveBeenCalledTimes(1);
+    create.mockRestore();
+  });
+
+  it("reports a view which is not registered", async () => {
+    const { findByText } = open("/nothing", PLAYER);
+    await findByText("There is no nothing view.");
+  });
+
+  it("only loads plugins served by the page or the Foundry server", () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    loadPlugins([
+      "https://attacker.example.com/xss.js",
+      "/plugins/names.js",
+      `http://localhost:${port}/modules/overlays/views.js`,
+    ]);
+    const scripts = [...document.head.querySelectorAll("script")].map(
+      (script) => script.src
+    );
+    expect(scripts).toContain("http://localhost/plugins/names.js");
+    expect(scripts).toContain(
+      `http://localhost:${port}/modules/overlays/views.js`
+    );
+    expect(scripts).not.toContain("https://attacker.example.com/xss.js");
+    expect(error).toHaveBeenCalledTimes(1);
+    error.mockRestore();
+  });
+
+  it("loads the view plugins of the active world modules", () => {
+    const module = (id, active) => ({
+      id,
+      active,
+      data: { flags: { streamdeck: { views: ["overlays.js"] } } },
+    });
+    const game = {
+      data: { modules: [module("active", true), module("inactive", false)] },
+    };
+    expect(worldPlugins(game)).toEqual([
+      `http://localhost:${port}/modules/active/overlays.js`,
+    ]);
+  });
+});
+
+describe("templates", () => {
+  const fetch = window.fetch;
+  afterEach(() => (window.fetch = fetch));
+
+  it("renders a template of the world live", async () => {
+    const { findByText } = open("/template?name=party", PLAYER);
+    await findByText("Aria 24/24");
+    updateActor({ _id: "actorAria0000001", "data.attributes.hp.value": 9 });
+    await findByText("Aria 9/24");
+  });
+
+  it("renders a template of the world flags", async () => {
+    const { findByText } = open("/template?name=roster", PLAYER);
+    expect((await findByText("Aria")).localName).toBe("li");
+  });
+
+  it("renders a template file with loops, conditions and the parent data", async () => {
+    window.fetch = jest.fn(() =>
+      Promise.resolve({
+        ok: true,
+        text: () =>
+          Promise.resolve(
+            "{{#with combat}}<h1>Round {{round}}</h1>{{#each combatants}}" +
+              '<p class="{{#if active}}active{{/if}}">{{@index}} {{name}} ' +
+              "{{initiative}} {{../round}}</p>{{/each}}{{/with}}"
+          ),
+      })
+    );
+    const { findByText, container } = open("/template?name=turns", PLAYER);
+    await findByText("Round 1");
+    expect(window.fetch.mock.calls[0][0]).toBe("./templates/turns.html");
+    // The hidden combatant is left out
+    expect(
+      [...container.querySelectorAll("p")].map((p) => p.textContent)
+    ).toEqual(["0 Aria 18 1", "1 Goblin Archer 15 1", "2 Brom 12 1"]);
+  });
+
+  it("reports the errors of a template", async () => {
+    window.fetch = jest.fn(() =>
+      Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve("{{#each actors}}{{name}}"),
+      })
+    );
+    const { findByText } = open("/template?name=broken", PLAYER);
+    await findByText("{{#each}} is never closed");
+  });
+
+  it("can not run script", () => {
+    const html = sanitizeHtml(
+      renderTemplate(
+        '<script>alert(1)</script><img src="{{img}}" onerror="alert(1)">' +
+          '<div style="color: red" onclick="alert(1)">{{name}}</div>' +
+          '<iframe src="javascript:alert(1)"></iframe><svg onload="alert(1)"></svg>',
+        {
+          // eslint-disable-next-line no-script-url
+          img: "javascript:alert(1)",
+          name: "<b onmouseover=alert(1)>Aria</b>",
+        }
+      )
+    );
+    expect(html).toBe(
+      '<img><div style="color: red">&lt;b onmouseover=alert(1)&gt;Aria&lt;/b&gt;</div>'
+    );
+    expect(
+      renderTemplate("{{constructor}}{{__proto__}}{{names.length}}", {
+        names: ["Aria", "Brom"],
+      })
+    ).toBe("2");
+  });
+});
+
+describe("themes", () => {
+  it("applies the theme and the custom stylesheet of the view", async () => {
+    const { findByText } = open(
+      "/status?theme=neon&css=https://example.com/brand.css",
+      PLAYER
+    );
+    await findByText("Connection status");
+    expect(document.documentElement.dataset.theme).toBe("neon");
+    expect(document.getElementById("streamdeck-stylesheet").href).toBe(
+      "https://example.com/brand.css"
+    );
+  });
+
+  it("applies the CSS of the world flags", async () => {
+    const { findByText } = open("/status", PLAYER);
+    await findByText("Player One");
+    expect(document.getElementById("streamdeck-world-css").textContent).toBe(
+      ".party-member { font-weight: bold; }"
+    );
+  });
+
+  it("applies the theme and the connection badge stored in the settings of the view", async () => {
+    window.localStorage.setItem(
+      "streamdeck.view.partyhud.default",
+      JSON.stringify({ theme: "neon", health: "true" })
+    );
+    try {
+      const { findByText } = open("/partyhud", PLAYER);
+      await findByText("Aria");
+      await wait(() =>
+        expect(document.documentElement.dataset.theme).toBe("neon")
+      );
+      await findByText(/ms$|no answer/);
+    } finally {
+      window.localStorage.clear();
+    }
+  });
+
+  it("falls back to parchment for an unknown theme", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const { findByText } = open("/status?theme=glitter", PLAYER);
+    await findByText("Player One");
+    expect(document.documentElement.dataset.theme).toBe("parchment");
+    expect(document.getElementById("streamdeck-stylesheet")).toBeNull();
+    expect(warn).toHaveBeenCalledWith(
+      "Foundry VTT | There is no glitter theme"
+    );
+    warn.mockRestore();
+  });
+});
+
+describe("view settings", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  function fontSize(element) {
+    return element.parentElement.style.fontSize;
+  }
+
+  it("keeps the size by instance, unless the URL sets it", async () => {
+    let view = open("/partyhudlite?tokens=true", GM);
+    const name = await view.findByText("Goblin Archer");
+    expect(fontSize(name)).toBe("50px");
+    fireEvent.wheel(name, { deltaY: -100 });
+    fireEvent.wheel(name, { deltaY: -100 });
+    await wait(() => expect(fontSize(name)).toBe("52px"));
+    view.unmount();
+    closeGame();
+
+    view = open("/partyhudlite?tokens=true", GM);
+    expect(fontSize(await view.findByText("Goblin Archer"))).toBe("52px");
+    view.unmount();
+    closeGame();
+
+    view = open("/partyhudlite?tokens=true&instance=second", GM);
+    expect(fontSize(await view.findByText("Goblin Archer"))).toBe("50px");
+    view.unmount();
+    closeGame();
+
+    view = open("/partyhudlite?tokens=true&size=40", GM);
+    expect(fontSize(await view.findByText("Goblin Archer"))).toBe("40px");
+  });
+
+  it("changes the settings in a panel toggled by a hotkey", async () => {
+    const { findByText, queryByRole, container } = open("/partyhud", PLAYER);
+    await findByText("Aria");
+    expect(queryByRole("dialog")).toBeNull();
+
+    fireEvent.keyDown(window, { code: "KeyS", ctrlKey: true, shiftKey: true });
+    await findByText("Party HUD settings");
+    fireEvent.change(container.querySelector("#setting-color"), {
+      target: { value: "#ff0000" },
+    });
+    expect(container.querySelector("#setting-color").value).toBe("#ff0000");
+    expect(
+      JSON.parse(
+        window.localStorage.getItem("streamdeck.view.partyhud.default")
+      )
+    ).toEqual({ color: "#ff0000" });
+
+    fireEvent.keyDown(window, { key: "Escape" });
+    await wait(() => expect(queryByRole("dialog")).toBeNull());
+  });
+
+  it("does not open the panel while OBS streams", async () => {
+    window.obsstudio = {
+      getStatus: (callback) => callback({ streaming: true, recording: false }),
+    };
+    const { findByText, queryByRole } = open("/partyhud", PLAYER);
+    await findByText("Aria");
+    fireEvent.keyDown(window, { code: "KeyS", ctrlKey: true, shiftKey: true });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(queryByRole("dialog")).toBeNull();
+    delete window.obsstudio;
+  });
+});
+
+describe("dashboard", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  function widgets(container) {
+    return [...container.querySelectorAll(".dashboard-widget")];
+  }
+
+  it("shows several views in one page", async () => {
+    const { findByText, findAllByText, container } = open("/dashboard", GM);
+    await findByText("Round 1");
+    expect((await findAllByText("Aria")).length).toBeGreaterThan(1);
+    expect(widgets(container).map((w) => w.style.left)).toEqual([
+      "40px",
+      "760px",
+      "1280px",
+      "40px",
+    ]);
+  });
+
+  it("reads the layout from the URL", async () => {
+    const layout = {
+      widgets: [
+        {
+          view: "partyhudlite",
+          x: 100,
+          y: 200,
+          width: 800,
+          height: 300,
+          options: { tokens: "true", size: 40 },
+        },
+        { view: "nothing", x: 0, y: 0, width: 100, height: 100 },
+      ],
+    };
+    const { findByText, container } = open(
+      "/dashboard?layout=" + encodeURIComponent(JSON.stringify(layout)),
+      GM
+    );
+    const name = await findByText("Goblin Archer");
+    expect(name.parentElement.style.fontSize).toBe("40px");
+    await findByText("There is no nothing view.");
+    const [widget] = widgets(container);
+    expect(widget.style.left).toBe("100px");
+    expect(widget.style.top).toBe("200px");
+  });
+
+  it("gives each widget of a layout a unique id", () => {
+    const box = { x: 0, y: 0, width: 100, height: 100 };
+    const { widgets } = parseLayout(
+      JSON.stringify({
+        widgets: [
+          { view: "partyhud", ...box },
+          { id: "party", view: "partyhud", ...box },
+          { id: "party", view: "partyhud", ...box },
+          { id: "partyhud", view: "rollfeed", ...box },
+        ],
+      })
+    );
+    expect(widgets.map((w) => w.id)).toEqual([
+      "partyhud-2",
+      "party",
+      "partyhud-3",
+      "partyhud",
+    ]);
+  });
+
+  it("moves, removes and stores the widgets in edit mode", async () => {
+    const {
+      findByText,
+      findAllByText,
+      queryByRole,
+      getAllByLabelText,
+      container,
+    } = open("/dashboard", GM);
+    await findByText("Round 1");
+    fireEvent.keyDown(window, { code: "KeyE", ctrlKey: true, shiftKey: true });
+    await findByText("Copy URL");
+
+    const [handle] = await findAllByText("Party HUD");
+    fireEvent.mouseDown(handle, { clientX: 10, clientY: 10 });
+    fireEvent.mouseMove(window, { clientX: 113, clientY: 58 });
+    fireEvent.mouseUp(window);
+    await wait(() => expect(widgets(container)[0].style.left).toBe("140px"));
+    expect(widgets(container)[0].style.top).toBe("90px");
+
+    fireEvent.click(getAllByLabelText("Remove")[3]);
+    await wait(() => expect(widgets(container)).toHaveLength(3));
+
+    const stored = JSON.parse(
+      window.localStorage.getItem("streamdeck.view.dashboard.default")
+    );
+    const layout = JSON.parse(stored.layout);
+    expect(layout.widgets.map((w) => [w.id, w.view, w.x, w.y])).toEqual([
+      ["partyhud", "partyhud", 140, 90],
+      ["initiative", "initiative", 760, 20],
+      ["rollfeed", "rollfeed", 1280, 40],
+    ]);
+
+    fireEvent.click(await findByText("Layout JSON"));
+    fireEvent.change(container.querySelector("textarea"), {
+      target: { value: "{" },
+    });
+    fireEvent.click(await findByText("Apply"));
+    await findByText("The layout is not valid JSON");
+
+    fireEvent.click(await findByText("Done"));
+    await wait(() => expect(queryByRole("toolbar")).toBeNull());
+  });
+});
+
+describe("scaling", () => {
+  // The window of jsdom is 1024x768
+  it("scales the view to the browser source from its design resolution", async () => {
+    const { findByText, container } = open(
+      "/status?scale=fit&design=2048x768&anchor=bottom-right",
+      PLAYER
+    );
+    await findByText("Connection status");
+    const view = container.querySelector(".scaled-view");
+    expect(view.style.transform).toBe("scale(0.5)");
+    expect(view.style.width).toBe("2048px");
+    expect(view.style.left).toBe("0px");
+    expect(view.style.top).toBe("384px");
+  });
+
+  it("reads the design resolution of the view", async () => {
+    const { findByText, container } = open("/rollfeed?anchor=center", PLAYER);
+    await wait(() =>
+      expect(container.querySelector(".scaled-view")).not.toBeNull()
+    );
+    const view = container.querySelector(".scaled-view");
+    // Rolls are laid out at 600x900 without being scaled
+    expect(view.style.transform).toBe("scale(1)");
+    expect(view.style.left).toBe("212px");
+    expect(view.style.top).toBe("-66px");
+    expect(container.querySelector(".safe-guides")).toBeNull();
+
+    fireEvent.keyDown(window, { code: "KeyG", ctrlKey: true, shiftKey: true });
+    await findByText("Title safe");
+    await findByText("Action safe");
+  });
+});
+
+describe("profiles", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  it("logs in to a profile without touching the session cookie", async () => {
+    const cookie = `session=${mock.join(PLAYER)}`;
+    document.cookie = cookie;
+    window.history.pushState({}, "", "/?profile=gm");
+    const page = render(<App />);
+    await page.findByText("Login (profile gm)");
+    await login(page, "Gamemaster", "");
+    await wait(() => expect(window.game && window.game.ready).toBe(true));
+    expect(window.game.user.name).toBe("Gamemaster");
+    expect(document.cookie).toBe(cookie);
+    page.unmount();
+    closeGame();
+
+    // The views of the profile use its session, the others keep the cookie
+    const gm = open("/status?profile=gm", PLAYER);
+    await gm.findByText(/^Gamemaster/);
+    gm.unmount();
+    closeGame();
+    const player = open("/status", PLAYER);
+    await player.findByText("Player One");
+  });
+});
+
+describe("view links", () => {
+  let sidecar;
+  let sidecarUrl;
+
+  beforeEach(async () => {
+    sidecar = createSidecar({ foundry: `http://localhost:${port}` });
+    sidecarUrl = `http://localhost:${await sidecar.listen()}`;
+    process.env.REACT_APP_FOUNDRY_URL = sidecarUrl;
+  });
+  afterEach(() => sidecar.close());
+
+  function api(method, path, body, session = mock.join(PLAYER)) {
+    return request(method, sidecarUrl + path, body && JSON.stringify(body), {
+      Authorization: `Session ${session}`,
+      "Content-Type": "application/json",
+    }).then(({ res, text }) => ({
+      status: res.statusCode,
+      body: JSON.parse(text),
+    }));
+  }
+
+  it("only issues links to logged in users", async () => {
+    const { status } = await api(
+      "POST",
+      "/api/tokens",
+      { views: ["partyhud"], expiresIn: 3600 },
+      "not-a-session"
+    );
+    expect(status).toBe(401);
+  });
+
+  it("shows the views of the link read-only, until it is revoked", async () => {
+    const link = (
+      await api("POST", "/api/tokens", {
+        views: ["partyhud"],
+        expiresIn: 3600,
+        label: "OBS",
+      })
+    ).body;
+    expect((await api("GET", "/api/tokens")).body.map((l) => l.id)).toEqual([
+      link.id,
+    ]);
+
+    document.cookie = "session=; expires=Thu, 01 Jan 1970 00:00:00 GMT";
+    window.history.pushState({}, "", `/partyhud?token=${link.token}`);
+    const { findByText } = render(<App />);
+    await findByText("Aria");
+
+    const response = await new Promise((resolve) =>
+      window.game.socket.emit(
+        "modifyDocument",
+        { type: "Actor", action: "delete", data: ["actorAria0000001"] },
+        resolve
+      )
+    );
+    expect(response.error.message).toBe("View links are read-only");
+
+    await api("DELETE", `/api/tokens/${link.id}`);
+    await wait(() => expect(window.game.connection.state).toBe("failed"));
+  });
+
+  function connectView(query) {
+    const socket = io(sidecarUrl, { query, transports: ["websocket"] });
+    return new Promise((resolve) => {
+      socket.on("connect", () => resolve({ socket }));
+      socket.on("error", (error) => resolve({ socket, error }));
+    });
+  }
+
+  it("requires the view a socket is opened for, and only gives it the data the view shows", async () => {
+    const link = (
+      await api("POST", "/api/tokens", {
+        views: ["partyhud", "scenetitle"],
+        expiresIn: 3600,
+      })
+    ).body;
+
+    const refused = await connectView({ token: link.token });
+    expect(refused.error).toBe("Name the view shown with the view link");
+    refused.socket.close();
+
+    const world = async (view) => {
+      const { socket } = await connectView({ token: link.token, view });
+      const data = await new Promise((resolve) =>
+        socket.emit("world", resolve)
+      );
+      socket.close();
+      return data;
+    };
+    const hud = await world("partyhud");
+    expect(hud.actors.length).toBeGreaterThan(0);
+    expect(hud.messages).toEqual([]);
+    const title = await world("scenetitle");
+    expect(title.scenes.length).toBeGreaterThan(0);
+    expect(title.actors).toEqual([]);
+    expect(title.users.map((u) => u._id)).toEqual([PLAYER]);
+  });
+
+  it("drops the views once the link expires", async () => {
+    const link = (
+      await api("POST", "/api/tokens", { views: ["partyhud"], expiresIn: 0.5 })
+    ).body;
+    const { socket, error } = await connectView({
+      token: link.token,
+      view: "partyhud",
+    });
+    expect(error).toBeUndefined();
+    await new Promise((resolve) => socket.on("disconnect", resolve));
+    // The expired link does not connect again
+    const refused = await connectView({ token: link.token, view: "partyhud" });
+    expect(refused.error).toBe("This view link is invalid, expired or revoked");
+    socket.close();
+    refused.socket.close();
+  });
+
+  it("only shows the widgets of a dashboard the link gives access to", async () => {
+    const link = (
+      await api("POST", "/api/tokens", {
+        views: ["dashboard", "partyhud"],
+        expiresIn: 3600,
+      })
+    ).body;
+    document.cookie = "session=; expires=Thu, 01 Jan 1970 00:00:00 GMT";
+    window.history.pushState({}, "", `/dashboard?token=${link.token}`);
+    const { findByText } = render(<App />);
+    await findByText("Aria");
+    await findByText(
+      "This view link does not give access to the initiative view."
+    );
+  });
+
+  it("refuses the views the link does not give access to", async () => {
+    const link = (
+      await api("POST", "/api/tokens", { views: ["partyhud"], expiresIn: 3600 })
+    ).body;
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    window.history.pushState({}, "", `/initiative?token=${link.token}`);
+    render(<App />);
+    await wait(() =>
+      expect(error).toHaveBeenCalledWith(
+        new Error("This view link does not give access to the initiative view")
+      )
+    );
+    error.mockRestore();
+    expect(window.game).toBeUndefined();
+  });
 });
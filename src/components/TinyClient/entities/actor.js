@@ -2,6 +2,8 @@ import {Entity} from './entity'
 import {DEFAULT_TOKEN, ENTITY_PERMISSIONS} from '../constants'
 import {mergeObject, duplicate, getProperty, diffObject, expandObject, isObjectEmpty, hasProperty} from '../utils'
 import {Item} from './item'
+import {getSystemAdapter} from '../systems'
+import {Hooks} from '../hooks'
 const vtt = "Foundry VTT";
 
 /**
@@ -56,6 +58,13 @@ export class Actor extends Entity {
        * @private
        */
       this._tokenImages = null;
+
+      /**
+       * The last known hit point value, used to report the difference when the Actor is updated
+       * @type {number|undefined}
+       * @private
+       */
+      this._hp = getSystemAdapter().hp(this).value;
     }
   
     /* -------------------------------------------- */
@@ -179,7 +188,7 @@ prepareEmbeddedEntities() {
      */
     get isToken() {
       if (!this.token) return false;
-      return !this.token.data.actorLink;
+      return !this.token.actorLink;
     }
   
     /* -------------------------------------------- */
@@ -190,14 +199,14 @@ prepareEmbeddedEntities() {
      * Create a synthetic Actor using a provided Token instance
      * If the Token data is linked, return the true Actor entity
      * If the Token data is not linked, create a synthetic Actor using the Token's actorData override
-     * @param {Token} token
+     * @param {Object} token    The Token data, as found in the Scene tokens
      * @return {Actor}
      */
     static fromToken(token) {
       let actor = window.game.actors.get(token.actorId);
       if (!actor) return null;
       if (!token._id) return actor;
-      // if (!token.data.actorLink) actor = actor.constructor.createTokenActor(actor, token);
+      if (!token.actorLink) actor = actor.constructor.createTokenActor(actor, token);
       return actor;
     }
   
@@ -207,15 +216,34 @@ prepareEmbeddedEntities() {
      * Create a synthetic Token Actor instance which is used in place of an actual Actor.
      * Cache the result in Actors.tokens.
      * @param {Actor} baseActor
-     * @param {Token} token
+     * @param {Object} token      The Token data, as found in the Scene tokens
      * @return {Actor}
      */
     static createTokenActor(baseActor, token) {
-      let actor = this.collection.tokens[token.id];
+      let actor = this.collection.tokens[token._id];
       if ( actor ) return actor;
-      const actorData = mergeObject(baseActor.data, token.data.actorData, {inplace: false});
+      const actorData = mergeObject(baseActor.data, token.actorData, {inplace: false});
       actor = new this(actorData, {token: token});
-      return this.collection.tokens[token.id] = actor;
+      return this.collection.tokens[token._id] = actor;
+    }
+  
+    /* -------------------------------------------- */
+
+    /**
+     * Refresh a synthetic Token Actor after its Token, or the base Actor it derives from, was updated.
+     * The Actor data is rebuilt from the base Actor data and the Token actorData override.
+     * @param {Object} token        The updated Token data
+     * @param {Object} updateData   The changed Token data
+     */
+    _onUpdateToken(token, updateData={}) {
+      const baseActor = window.game.actors.get(token.actorId);
+      if ( !baseActor || token.actorLink ) {
+        delete this.collection.tokens[token._id];
+        return;
+      }
+      this.token = token;
+      this.data = mergeObject(baseActor.data, token.actorData, {inplace: false});
+      this._onUpdate(updateData.actorData || {}, {}, null);
     }
   
     /* -------------------------------------------- */
@@ -320,6 +348,14 @@ prepareEmbeddedEntities() {
       // Re-prepare Actor data
       if (changed.has("items")) this.prepareEmbeddedEntities();
       this.prepareData();
+
+      // Report hit point changes so that views can show the difference
+      const hp = getSystemAdapter().hp(this).value;
+      if (Number.isFinite(this._hp) && Number.isFinite(hp) && (hp !== this._hp)) {
+        const tokenId = this.isToken ? this.token._id : null;
+        Hooks.callAll("updateHitPoints", this, {actorId: this.id, tokenId: tokenId, previous: this._hp, value: hp, delta: hp - this._hp});
+      }
+      this._hp = hp;
   
       
       // Additional options only apply to Actors which are not synthetic Tokens
@@ -336,6 +372,11 @@ prepareEmbeddedEntities() {
   
       // If the prototype token was changed, expire any cached token images
       if (changed.has("token")) this._tokenImages = null;
+
+      // Synthetic Token Actors inherit whatever their Token does not override
+      Object.values(this.collection.tokens)
+        .filter(a => a.token.actorId === this.id)
+        .forEach(a => a._onUpdateToken(a.token));
   
       // Update Token representations of this Actor
       // this.getActiveTokens().forEach(token => token._onUpdateBaseActor(this.data, data));
@@ -129,7 +129,8 @@ export class ChatMessage extends Entity {
     get roll() {
       if ( this._roll === null ) {
         try {
-          this._roll = Roll.fromJSON(this.data.roll);
+          const data = this.data.roll;
+          this._roll = typeof data === "string" ? Roll.fromJSON(data) : Roll.fromData(data);
         } catch(err) {
           this._roll = false;
         }
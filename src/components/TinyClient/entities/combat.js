@@ -16,10 +16,10 @@ export class Combat extends Entity {
       super(...args);
   
       /**
-       * Track the sorted turn order of this combat encounter
+       * Track the sorted turn order of this combat encounter, already set up by prepareEmbeddedEntities
        * @type {Array}
        */
-      this.turns=null;
+      this.turns = this.turns || null;
   
       /**
        * Record the current round, turn, and tokenId to understand changes in the encounter state
@@ -40,7 +40,18 @@ export class CombatEncounters extends EntityCollection {
     get active() {
       return this.combats.find(c => c.data.active);
     }
-  
+
+    /* -------------------------------------------- */
+
+    /**
+     * The Combat instance which is currently viewed: the active encounter of the active scene if there is one,
+     * otherwise the first encounter prepared for that scene. Both are looked up among the combats of the active scene.
+     * @return {Combat|null}
+     */
+    get viewed() {
+      return this.active || this.combats[0] || null;
+    }
+
   
     /** @override */
     static get instance() {
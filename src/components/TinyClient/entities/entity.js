@@ -12,6 +12,7 @@ import {
   duplicate,
 } from "../utils";
 import { SocketInterface } from "../socketInterface";
+import { Hooks } from "../hooks";
 // import {Actors} from './actors'
 // import {Actor} from './actor'
 // import {Combat} from './combat'
@@ -577,10 +578,8 @@ export class Entity {
       } catch (e) {
         console.error(request.type);
         // throw e;
-      } finally{
-        window.game.stateUpdate()
       }
-      
+
     });
 
     // Embedded Document Management
@@ -601,8 +600,6 @@ export class Entity {
       } catch (err) {
         console.error("request type not handled, parentType:" + request.parentType + ", Type: " + request.Type);
         console.log(request)
-      }finally{
-        window.game.stateUpdate()
       }
     });
   }
@@ -676,6 +673,7 @@ export class Entity {
 
       // Trigger follow-up actions and return
       entity._onCreate(data, options, userId);
+      Hooks.callAll(`create${type}`, entity, options, userId);
       return entity;
     });
 
@@ -802,6 +800,7 @@ export class Entity {
 
       // Trigger follow-up actions and return
       entity._onUpdate(data, options, userId);
+      Hooks.callAll(`update${type}`, entity, data, options, userId);
       return entity;
     });
 
@@ -931,7 +930,7 @@ export class Entity {
 
       // Trigger follow-up actions and return
       entity._onDelete(options, userId);
-      // Hooks.callAll(`delete${request.type}`, entity, options, userId);
+      Hooks.callAll(`delete${request.type}`, entity, options, userId);
       return entity;
     });
 
@@ -1082,7 +1081,7 @@ export class Entity {
     // Trigger follow-up actions for each created EmbeddedEntity
     for (let r of result) {
       parent._onCreateEmbeddedEntity(type, r, options, userId);
-      // Hooks.callAll(`create${type}`, parent, r, options, userId);
+      Hooks.callAll(`create${type}`, parent, r, options, userId);
     }
     parent._onModifyEmbeddedEntity(type, result, options, userId, {
       action: "create",
@@ -1225,7 +1224,7 @@ export class Entity {
 
       // Trigger follow-up actions
       parent._onUpdateEmbeddedEntity(type, doc, update, options, userId);
-      // Hooks.callAll(`update${type}`, parent, doc, update, options, userId);
+      Hooks.callAll(`update${type}`, parent, doc, update, options, userId);
     }
 
     // Trigger overall modification of the parent
@@ -1336,7 +1335,7 @@ export class Entity {
     const [deleted, surviving] = collection.partition((doc) => {
       if (!deletions.has(doc._id)) return true;
       parent._onDeleteEmbeddedEntity(type, doc, options, userId);
-      // Hooks.callAll(`delete${type}`, parent, doc, options, userId);
+      Hooks.callAll(`delete${type}`, parent, doc, options, userId);
       return false;
     });
 
@@ -1,7 +1,8 @@
 
 import {ENTITY_PERMISSIONS} from '../constants'
-import {mergeObject} from '../utils'
+import {mergeObject, isObjectEmpty} from '../utils'
 import {Entity} from './entity'
+import {Hooks} from '../hooks'
 const vtt = "Foundry VTT";
 
 
@@ -295,6 +296,50 @@ export class EntityCollection extends Collection {
       this.delete(id);
     }
   
+    /* -------------------------------------------- */
+
+    /**
+     * Reconcile the EntityCollection with a fresh copy of its source data, as vended by the server after the
+     * connection was re-established. Existing Entity instances are kept and updated in place so that views holding
+     * them stay mounted; Entities which appeared or disappeared meanwhile are created or removed.
+     * The same follow-up actions and hooks run as if the missed changes had been received through the socket.
+     * @param {Object[]} data   The current Array of Entity data
+     */
+    reconcile(data) {
+      const type = this.entity;
+      const ids = new Set(data.map(d => d._id));
+
+      // Remove Entities which were deleted meanwhile
+      for ( let entity of this.entities ) {
+        if ( ids.has(entity.id) ) continue;
+        this.delete(entity.id);
+        entity._onDelete({}, null);
+        Hooks.callAll(`delete${type}`, entity, {}, null);
+      }
+
+      // Update or create the others, the new data becomes the source data of the collection
+      this._source = data;
+      for ( let d of data ) {
+        const entity = this.get(d._id);
+        if ( !entity ) {
+          const created = new this.object(d);
+          this.set(d._id, created);
+          created._onCreate(d, {}, null);
+          Hooks.callAll(`create${type}`, created, {}, null);
+          continue;
+        }
+        const changed = Object.keys(d).reduce((obj, k) => {
+          if ( JSON.stringify(entity.data[k]) !== JSON.stringify(d[k]) ) obj[k] = d[k];
+          return obj;
+        }, {});
+        entity.data = d;
+        if ( isObjectEmpty(changed) ) continue;
+        changed._id = d._id;
+        entity._onUpdate(changed, {}, null);
+        Hooks.callAll(`update${type}`, entity, changed, {}, null);
+      }
+    }
+
     /* -------------------------------------------- */
   
     /**
@@ -1,4 +1,5 @@
 import { Entity } from "./entity";
+import { Hooks } from "../hooks";
 
 export class Scene extends Entity {
   constructor(...args) {
@@ -208,6 +209,7 @@ export class Scene extends Entity {
       collection.entities.forEach(
         (scene) => (scene.data.active = scene._id === this._id)
       );
+      Hooks.callAll("activateScene", this);
       return this.view();
     }  
   }
@@ -223,14 +225,17 @@ export class Scene extends Entity {
 
   /** @override */
   _onUpdateEmbeddedEntity(embeddedName, child, updateData, options, userId) {
-   
+    // Keep the synthetic Actor of an unlinked Token in sync with its Token
+    if (embeddedName !== "Token") return;
+    const actor = window.game.actors.tokens[child._id];
+    if (actor) actor._onUpdateToken(child, updateData);
   }
 
   /* -------------------------------------------- */
 
   /** @override */
   _onDeleteEmbeddedEntity(embeddedName, child, options, userId) {
-    
+    if (embeddedName === "Token") delete window.game.actors.tokens[child._id];
   }
 
   /* -------------------------------------------- */
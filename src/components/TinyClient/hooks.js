@@ -0,0 +1,161 @@
+const vtt = "Foundry VTT";
+
+/**
+ * A simple event framework used throughout the client, following the Foundry VTT Hooks API.
+ * Any number of views may register callbacks for an event with Hooks.on and remove them again with Hooks.off,
+ * the client notifies them with Hooks.callAll.
+ *
+ * Events emitted by the client:
+ * - create{Entity}, update{Entity}, delete{Entity}  When a world document is changed, e.g. updateActor,
+ *                                                   createChatMessage or updateCombat
+ * - create{Type}, update{Type}, delete{Type}        When an embedded document is changed, e.g. updateToken,
+ *                                                   createCombatant or updateOwnedItem
+ * - updateHitPoints  (actor, change)                When the hit points of an Actor change, the change being
+ *                                                   {actorId, tokenId, previous, value, delta}
+ * - activateScene    (scene)                        When a Scene becomes the active Scene
+ * - pauseGame        (paused)                       When the game is paused or resumed
+ * - ready            (game)                         When the Game has set up its Entities and sockets
+ * - resync           (game)                         When the Game has caught up with the World after a reconnection
+ * - connectionStatus (connection)                   When the state or latency of the connection changes, see Game#connection
+ * - replayStatus     (replay)                       When a replayed recording is played, paused, sped up or moved, see
+ *                                                   ReplaySocket
+ * - registerView     (view)                         When a view is registered, e.g. by a plugin, see views.js
+ */
+class Hooks {
+  /**
+   * Register a callback handler which should be triggered when a hook is triggered.
+   *
+   * @param {string} hook   The unique name of the hooked event
+   * @param {Function} fn   The callback function which should be triggered when the hook event occurs
+   * @return {number}       An id which can be passed to Hooks.off to unregister the callback
+   */
+  static on(hook, fn) {
+    const id = this._id++;
+    this._hooks[hook] = this._hooks[hook] || [];
+    this._hooks[hook].push(fn);
+    this._ids[id] = fn;
+    return id;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Register a callback handler for an event which is only triggered once the first time the event occurs.
+   * After a "once" hook is triggered the hook is automatically removed.
+   *
+   * @param {string} hook   The unique name of the hooked event
+   * @param {Function} fn   The callback function which should be triggered when the hook event occurs
+   * @return {number}       An id which can be passed to Hooks.off to unregister the callback
+   */
+  static once(hook, fn) {
+    this._once.push(fn);
+    return this.on(hook, fn);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Unregister a callback handler for a particular hook event
+   *
+   * @param {string} hook           The unique name of the hooked event
+   * @param {Function|number} fn    The function, or the id returned by Hooks.on, which should be removed
+   */
+  static off(hook, fn) {
+    if (typeof fn === "number") {
+      const id = fn;
+      fn = this._ids[id];
+      delete this._ids[id];
+    }
+    if (!this._hooks.hasOwnProperty(hook)) return;
+    const fns = this._hooks[hook];
+    const idx = fns.indexOf(fn);
+    if (idx !== -1) fns.splice(idx, 1);
+    this._once = this._once.filter((f) => f !== fn);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Call all hook listeners in the order in which they were registered.
+   * Hooks called this way can not be handled by returning false and will always trigger every hook callback.
+   *
+   * @param {string} hook   The hook being triggered
+   * @param {...*} args     Arguments passed to the hook callback functions
+   * @return {boolean}
+   */
+  static callAll(hook, ...args) {
+    if (!this._hooks.hasOwnProperty(hook)) return true;
+    // Callbacks may unregister themselves while the hook is being called
+    const fns = [...this._hooks[hook]];
+    for (let fn of fns) {
+      this._call(hook, fn, args);
+    }
+    return true;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Call hook listeners in the order in which they were registered.
+   * Continue calling hooks until either all have been called or one returns false.
+   *
+   * @param {string} hook   The hook being triggered
+   * @param {...*} args     Arguments passed to the hook callback functions
+   * @return {boolean}      Whether every callback was called without one returning false
+   */
+  static call(hook, ...args) {
+    if (!this._hooks.hasOwnProperty(hook)) return true;
+    const fns = [...this._hooks[hook]];
+    for (let fn of fns) {
+      const callAdditional = this._call(hook, fn, args);
+      if (callAdditional === false) return false;
+    }
+    return true;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Call a hooked function using provided arguments and perhaps unregister it.
+   * An error thrown by one callback is logged without preventing the others from being called.
+   * @private
+   */
+  static _call(hook, fn, args) {
+    if (this._once.includes(fn)) this.off(hook, fn);
+    try {
+      return fn(...args);
+    } catch (err) {
+      console.warn(
+        `${vtt} | Error thrown in hooked function ${fn.name} for hook ${hook}`
+      );
+      console.error(err);
+    }
+  }
+}
+
+/**
+ * A mapping of hook events which have functions registered to them
+ * @type {Object}
+ * @private
+ */
+Hooks._hooks = {};
+
+/**
+ * The functions which are only called once before being unregistered
+ * @type {Function[]}
+ * @private
+ */
+Hooks._once = [];
+
+/**
+ * The registered functions by the id returned from Hooks.on
+ * @type {Object}
+ * @private
+ */
+Hooks._ids = {};
+Hooks._id = 1;
+
+// Expose the hooks to world module scripts, as Foundry does
+window.Hooks = Hooks;
+
+export { Hooks };
@@ -0,0 +1,533 @@
+import { Hooks } from "./hooks";
+import { duplicate, mergeObject } from "./utils";
+
+const vtt = "Foundry VTT";
+
+/**
+ * The version of the recording format written by SocketRecorder
+ * @type {number}
+ */
+const RECORDING_VERSION = 1;
+
+/**
+ * How many events a recording keeps at most, about a busy evening of play, so that a recording left running does not
+ * fill the memory of the browser source
+ * @type {number}
+ */
+const MAX_EVENTS = 100000;
+
+/**
+ * The World data collections of each Entity type
+ */
+const WORLD_COLLECTIONS = {
+  Actor: "actors",
+  ChatMessage: "messages",
+  Combat: "combat",
+  Folder: "folders",
+  Item: "items",
+  JournalEntry: "journal",
+  Macro: "macros",
+  Playlist: "playlists",
+  RollTable: "tables",
+  Scene: "scenes",
+  User: "users",
+};
+
+/**
+ * Apply a create, update or delete SocketResponse to an Array of Entity data, as the server applied it
+ * @private
+ */
+function applyResponse(collection, { request, result = [] }) {
+  switch (request.action) {
+    case "create":
+      result.forEach((data) => collection.push(duplicate(data)));
+      return collection;
+    case "update":
+      result.forEach((data) => {
+        const original = collection.find((d) => d._id === data._id);
+        if (original) mergeObject(original, duplicate(data));
+      });
+      return collection;
+    case "delete":
+      return collection.filter((d) => !result.includes(d._id));
+    default:
+      return collection;
+  }
+}
+
+/**
+ * Apply a recorded socket event to World data, so that the World can be rebuilt at any point of a recording
+ *
+ * @param {Object} world    The World data, modified in place
+ * @param {string} event    The socket event name
+ * @param {Array} args      The socket event arguments
+ * @return {Object}         The World data after the event
+ */
+export function applyEvent(world, event, args) {
+  const [response] = args;
+  switch (event) {
+    case "world":
+      return duplicate(response);
+    case "pause":
+      world.paused = response;
+      return world;
+    case "modifyDocument": {
+      const name = WORLD_COLLECTIONS[response.request.type];
+      if (!name) return world;
+      world[name] = applyResponse(world[name] || [], response);
+
+      // Only one Scene is active at a time
+      const { type, action } = response.request;
+      if (type === "Scene" && action === "update") {
+        const activated = response.result.find((d) => d.active === true);
+        if (activated)
+          world.scenes.forEach((s) => (s.active = s._id === activated._id));
+      }
+      return world;
+    }
+    case "modifyEmbeddedDocument": {
+      const { parentType, parentId, type } = response.request;
+      const parents = world[WORLD_COLLECTIONS[parentType]] || [];
+      const parent = parents.find((p) => p._id === parentId);
+      const cls =
+        window.CONFIG[parentType] && window.CONFIG[parentType].entityClass;
+      const name = cls ? cls.config.embeddedEntities[type] : null;
+      if (!parent || !name) return world;
+      parent[name] = applyResponse(parent[name] || [], response);
+      return world;
+    }
+    default:
+      return world;
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Record the World data and every socket event received from the server, with the time at which it was received,
+ * so that the session can be replayed later by a ReplaySocket.
+ * The recorder must be attached before the World data is requested, reconnections record the World data again.
+ * The recording stops once it is full.
+ *
+ * @param {Socket} socket               The live socket.io connection
+ * @param {Object} [options]
+ * @param {number} [options.maxEvents]  How many events to record at most
+ */
+export class SocketRecorder {
+  constructor(socket, { maxEvents = MAX_EVENTS } = {}) {
+    /**
+     * When the recording started
+     * @type {number}
+     */
+    this.started = Date.now();
+
+    /**
+     * The World data first sent by the server
+     * @type {Object|null}
+     */
+    this.world = null;
+
+    /**
+     * The recorded events, as {time, event, args} with the time in milliseconds since the recording started
+     * @type {Object[]}
+     */
+    this.events = [];
+
+    /**
+     * How many events to record at most
+     * @type {number}
+     */
+    this.maxEvents = maxEvents;
+
+    // Record the World data answered to "world" requests
+    const emit = socket.emit;
+    socket.emit = (event, ...args) => {
+      const ack = args[args.length - 1];
+      if (event === "world" && typeof ack === "function") {
+        args[args.length - 1] = (data) => {
+          if (this.world === null) this.world = duplicate(data);
+          else this.record("world", [data]);
+          return ack(data);
+        };
+      }
+      return emit.call(socket, event, ...args);
+    };
+
+    // Record every event emitted by the server before the client handles it
+    const onevent = socket.onevent;
+    socket.onevent = (packet) => {
+      const [event, ...args] = packet.data || [];
+      this.record(event, args);
+      return onevent.call(socket, packet);
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * How long the recording runs, in milliseconds
+   * @type {number}
+   */
+  get duration() {
+    return Date.now() - this.started;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Whether the recording is full, the later events being left out
+   * @type {boolean}
+   */
+  get full() {
+    return this.events.length >= this.maxEvents;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Record one socket event
+   * @param {string} event
+   * @param {Array} args
+   */
+  record(event, args) {
+    if (this.full) return;
+    if (this.events.length === this.maxEvents - 1) {
+      console.warn(
+        `${vtt} | The recording is full, the later events are not recorded`
+      );
+    }
+    this.events.push({
+      time: Date.now() - this.started,
+      event,
+      args: duplicate(args),
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * The recording, as read by ReplaySocket
+   * @return {Object}
+   */
+  toJSON() {
+    return {
+      version: RECORDING_VERSION,
+      recorded: new Date(this.started).toISOString(),
+      world: this.world,
+      events: this.events,
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Download the recording as a JSON file
+   */
+  save() {
+    const blob = new Blob([JSON.stringify(this.toJSON())], {
+      type: "application/json",
+    });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `streamdeck-${new Date(this.started)
+      .toISOString()
+      .replace(/[:.]/g, "-")}.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * A stand-in for the socket.io connection which plays a recording made by SocketRecorder back to the Game.
+ * Requests for the World data are answered with the World as it was at the current position of the replay, and
+ * seeking rebuilds it and notifies a reconnection, so that the Game resyncs as it does after a real one.
+ * The replay starts once the Game is ready, and calls the replayStatus hook whenever it is played, paused or moved.
+ *
+ * @param {Object} recording          The recording, see SocketRecorder#toJSON
+ * @param {Object} [options]
+ * @param {number} [options.speed]    The playback speed, 1 being real time
+ */
+export class ReplaySocket {
+  constructor(recording, { speed = 1 } = {}) {
+    if (!recording || !recording.world || !Array.isArray(recording.events)) {
+      throw new Error("This file is not a recording of a game session.");
+    }
+
+    /**
+     * The recording being played
+     * @type {Object}
+     */
+    this.recording = recording;
+
+    /**
+     * The World data at the current position
+     * @type {Object}
+     */
+    this.world = duplicate(recording.world);
+
+    /**
+     * The playback speed, 1 being real time
+     * @type {number}
+     */
+    this.speed = speed > 0 ? speed : 1;
+
+    /**
+     * Whether the replay is currently playing
+     * @type {boolean}
+     */
+    this.playing = false;
+
+    /**
+     * The replay pretends to be connected for as long as it is not disconnected
+     * @type {boolean}
+     */
+    this.connected = true;
+
+    /**
+     * The registered event listeners
+     * @type {Object}
+     * @private
+     */
+    this._listeners = {};
+
+    /**
+     * The index of the next event to play, and the position in the recording when the replay was last played or
+     * moved, in milliseconds
+     * @private
+     */
+    this._next = 0;
+    this._position = 0;
+    this._playedAt = null;
+    this._timeout = null;
+
+    Hooks.once("ready", () => this.play());
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Load a recording from a URL
+   * @param {string} url
+   * @param {Object} [options]    See the constructor
+   * @return {Promise<ReplaySocket>}
+   */
+  static async load(url, options) {
+    console.log(`${vtt} | Loading the recording ${url}`);
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`The recording ${url} could not be loaded.`);
+    }
+    return new ReplaySocket(await response.json(), options);
+  }
+
+  /* -------------------------------------------- */
+  /*  Properties                                  */
+  /* -------------------------------------------- */
+
+  /**
+   * The length of the recording in milliseconds
+   * @type {number}
+   */
+  get duration() {
+    const events = this.recording.events;
+    return events.length ? events[events.length - 1].time : 0;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * The current position in the recording in milliseconds
+   * @type {number}
+   */
+  get position() {
+    if (!this.playing) return this._position;
+    const elapsed = (Date.now() - this._playedAt) * this.speed;
+    return Math.min(this._position + elapsed, this.duration);
+  }
+
+  /* -------------------------------------------- */
+  /*  Socket                                      */
+  /* -------------------------------------------- */
+
+  on(event, fn) {
+    this._listeners[event] = this._listeners[event] || [];
+    this._listeners[event].push(fn);
+    return this;
+  }
+
+  /* -------------------------------------------- */
+
+  off(event, fn) {
+    if (!fn) delete this._listeners[event];
+    else if (this._listeners[event]) {
+      this._listeners[event] = this._listeners[event].filter((f) => f !== fn);
+    }
+    return this;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Answer the requests the client makes to the server. Nothing can be changed in a recording, so requests
+   * modifying the World are answered with an error.
+   */
+  emit(event, ...args) {
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+    if (!ack) return this;
+    switch (event) {
+      case "world":
+        ack(duplicate(this.world));
+        break;
+      case "getSetupData":
+        ack({});
+        break;
+      case "getWorldStatus":
+        ack(true);
+        break;
+      default:
+        ack({
+          request: args[0],
+          error: { message: "A recording can not be modified." },
+        });
+    }
+    return this;
+  }
+
+  /* -------------------------------------------- */
+
+  connect() {
+    return this;
+  }
+
+  /* -------------------------------------------- */
+
+  disconnect() {
+    this.pause();
+    this.connected = false;
+    return this;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Call the listeners of an event as if the server had emitted it
+   * @private
+   */
+  _receive(event, args) {
+    for (let fn of [...(this._listeners[event] || [])]) {
+      fn(...duplicate(args));
+    }
+  }
+
+  /* -------------------------------------------- */
+  /*  Playback                                    */
+  /* -------------------------------------------- */
+
+  /**
+   * Play the recording from the current position
+   */
+  play() {
+    if (this.playing || !this.connected) return;
+    if (this._next >= this.recording.events.length) return;
+    this.playing = true;
+    this._playedAt = Date.now();
+    this._schedule();
+    Hooks.callAll("replayStatus", this);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Pause the recording at the current position
+   */
+  pause() {
+    if (!this.playing) return;
+    this._position = this.position;
+    this.playing = false;
+    clearTimeout(this._timeout);
+    Hooks.callAll("replayStatus", this);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Change the playback speed
+   * @param {number} speed    1 being real time
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) return;
+    this._position = this.position;
+    this._playedAt = Date.now();
+    this.speed = speed;
+    if (this.playing) this._schedule();
+    Hooks.callAll("replayStatus", this);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Move to a position of the recording. The World is rebuilt as it was at that time and the Game resyncs with it.
+   * @param {number} time   The position in milliseconds
+   */
+  seek(time) {
+    time = Math.max(0, Math.min(time, this.duration));
+    const events = this.recording.events;
+    let world = duplicate(this.recording.world);
+    let next = 0;
+    while (next < events.length && events[next].time <= time) {
+      world = applyEvent(world, events[next].event, events[next].args);
+      next++;
+    }
+    this.world = world;
+    this._next = next;
+    this._position = time;
+    this._playedAt = Date.now();
+    this._receive("connect", []);
+    if (this.playing) this._schedule();
+    Hooks.callAll("replayStatus", this);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Wait for the next event, then play every event which is due
+   * @private
+   */
+  _schedule() {
+    clearTimeout(this._timeout);
+    const events = this.recording.events;
+    if (this._next >= events.length) {
+      this._position = this.duration;
+      this.playing = false;
+      Hooks.callAll("replayStatus", this);
+      return;
+    }
+    const wait = (events[this._next].time - this.position) / this.speed;
+    this._timeout = setTimeout(() => {
+      const position = this.position;
+      while (
+        this._next < events.length &&
+        events[this._next].time <= position
+      ) {
+        this._play(events[this._next++]);
+      }
+      if (this.playing) this._schedule();
+    }, Math.max(0, wait));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Play one recorded event
+   * @private
+   */
+  _play({ event, args }) {
+    this.world = applyEvent(this.world, event, args);
+
+    // The World data was sent again after a reconnection, which the Game catches up with
+    if (event === "world") this._receive("connect", []);
+    else this._receive(event, args);
+  }
+}
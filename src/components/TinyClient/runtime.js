@@ -0,0 +1,200 @@
+const vtt = "Foundry VTT";
+
+/**
+ * Where the module is installed in Foundry VTT, which the module base path and the route prefix are detected from
+ * @type {RegExp}
+ */
+const MODULE_PATH = /^(.*)\/modules\/streamdeck(?=\/|$)/;
+
+/**
+ * The configuration read from the config JSON, once loaded
+ * @type {Object}
+ * @private
+ */
+let loaded = {};
+
+function trimSlashes(path) {
+  return (path || "").replace(/^\/+|\/+$/g, "");
+}
+
+/**
+ * The settings a config JSON chosen with the `config` query parameter may not give: a link could otherwise send the
+ * session to another server or sidecar, or run script from anywhere in the page
+ * @type {string[]}
+ */
+const UNTRUSTED_SETTINGS = ["server", "sidecar", "plugins"];
+
+/**
+ * The URL of a config JSON or a server given in the query, only accepted on the origin of the page, so that a link
+ * can not send the session to another server, even on another port of the same host
+ * @private
+ */
+function sameOriginUrl(url) {
+  try {
+    const resolved = new URL(url, window.location.href);
+    return resolved.origin === window.location.origin ? resolved.href : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * The settings given in the query parameters of the page
+ * @private
+ */
+function fromQuery() {
+  const query = new URLSearchParams(window.location.search);
+  const config = {};
+  const server = query.get("server");
+  if (server !== null) {
+    if (sameOriginUrl(server)) config.server = window.location.origin;
+    else
+      console.warn(
+        `${vtt} | Ignoring the server ${server} given in the URL, which is not on the origin of the page`
+      );
+  }
+  if (query.get("routeprefix") !== null)
+    config.routePrefix = query.get("routeprefix");
+  if (query.get("basepath") !== null) config.basePath = query.get("basepath");
+  return config;
+}
+
+/**
+ * The settings given in the environment of the build
+ * @private
+ */
+function fromEnv() {
+  const config = {};
+  if (process.env.REACT_APP_FOUNDRY_URL)
+    config.server = process.env.REACT_APP_FOUNDRY_URL;
+  if (process.env.REACT_APP_ROUTE_PREFIX !== undefined)
+    config.routePrefix = process.env.REACT_APP_ROUTE_PREFIX;
+  if (process.env.REACT_APP_BASE_PATH !== undefined)
+    config.basePath = process.env.REACT_APP_BASE_PATH;
+  if (process.env.REACT_APP_SIDECAR_URL)
+    config.sidecar = process.env.REACT_APP_SIDECAR_URL;
+  if (process.env.REACT_APP_PLUGINS)
+    config.plugins = process.env.REACT_APP_PLUGINS.split(",");
+  if (process.env.REACT_APP_THEME) config.theme = process.env.REACT_APP_THEME;
+  if (process.env.REACT_APP_STYLESHEET)
+    config.stylesheet = process.env.REACT_APP_STYLESHEET;
+  return config;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * The runtime configuration of the client, which lets the views work behind reverse proxies.
+ * Each setting is read from the query parameters of the page, then from the config JSON, then from the environment
+ * of the build, and is otherwise detected from the location of the page:
+ *
+ * - server       `server`, "server", REACT_APP_FOUNDRY_URL       The origin of the Foundry VTT server, the origin
+ *                                                                 of the page by default
+ * - routePrefix  `routeprefix`, "routePrefix", REACT_APP_ROUTE_PREFIX
+ *                                                                 The route prefix of Foundry VTT, e.g. "foundry"
+ *                                                                 when it is served under /foundry/
+ * - basePath     `basepath`, "basePath", REACT_APP_BASE_PATH      The path the views are served from, e.g.
+ *                                                                 /foundry/modules/streamdeck
+ * - sidecar      "sidecar", REACT_APP_SIDECAR_URL                 The origin of the view link sidecar, by default
+ *                                                                 http://localhost:30001
+ * - plugins      "plugins", REACT_APP_PLUGINS                     The URLs of the scripts registering more views,
+ *                                                                 never read from the query parameters
+ * - theme        "theme", REACT_APP_THEME                         The default theme of the views, see theme.js
+ * - stylesheet   "stylesheet", REACT_APP_STYLESHEET               The URL of a stylesheet customizing the views
+ *
+ * @return {{server: string, routePrefix: string, basePath: string, sidecar: string, plugins: string[],
+ *   theme: string|null, stylesheet: string|null}}
+ */
+export function getRuntimeConfig() {
+  const config = { ...fromEnv(), ...loaded, ...fromQuery() };
+  const match = window.location.pathname.match(MODULE_PATH);
+  const routePrefix = trimSlashes(
+    config.routePrefix !== undefined
+      ? config.routePrefix
+      : match
+      ? match[1]
+      : ""
+  );
+  const basePath =
+    config.basePath !== undefined
+      ? trimSlashes(config.basePath)
+      : match
+      ? trimSlashes(`${routePrefix}/modules/streamdeck`)
+      : "";
+  return {
+    server: (config.server || window.location.origin).replace(/\/+$/, ""),
+    routePrefix,
+    basePath: basePath ? `/${basePath}` : "",
+    sidecar: (config.sidecar || "http://localhost:30001").replace(/\/+$/, ""),
+    plugins: [].concat(config.plugins || []).filter((url) => url),
+    theme: config.theme || null,
+    stylesheet: config.stylesheet || null,
+  };
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Load the config JSON, from the path given with the `config` query parameter, REACT_APP_CONFIG_URL, or config.json
+ * next to the page. A missing or invalid file leaves the other sources of the configuration in use.
+ * The `config` query parameter only accepts a file on the origin of the page, whose server, sidecar and plugins are
+ * ignored.
+ * @return {Promise<Object>}  The runtime configuration
+ */
+export async function loadRuntimeConfig() {
+  const query = new URLSearchParams(window.location.search);
+  let url =
+    process.env.REACT_APP_CONFIG_URL ||
+    `${process.env.PUBLIC_URL || "."}/config.json`;
+  let trusted = true;
+  if (query.get("config") !== null) {
+    const chosen = sameOriginUrl(query.get("config"));
+    if (chosen) {
+      url = chosen;
+      trusted = false;
+    } else {
+      console.warn(
+        `${vtt} | Ignoring the config ${query.get(
+          "config"
+        )} given in the URL, which is not on the origin of the page`
+      );
+    }
+  }
+  try {
+    const response = await fetch(url, { cache: "no-cache" });
+    if (response.ok) {
+      const config = await response.json();
+      if (!trusted && config)
+        UNTRUSTED_SETTINGS.forEach((key) => delete config[key]);
+      loaded = config;
+    }
+  } catch (err) {
+    console.debug(`${vtt} | No runtime configuration found at ${url}`);
+  }
+  return getRuntimeConfig();
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Get the path of a Foundry VTT route, accounting for the route prefix
+ * @param {string} path   The route, e.g. "join"
+ * @return {string}       The path, e.g. "/foundry/join"
+ */
+export function getRoute(path) {
+  const { routePrefix } = getRuntimeConfig();
+  path = trimSlashes(path);
+  return routePrefix ? `/${routePrefix}/${path}` : `/${path}`;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Get the URL of a Foundry VTT route or file on the server, e.g. an actor image. Absolute URLs are left untouched.
+ * @param {string} path
+ * @return {string}
+ */
+export function foundryUrl(path) {
+  if (/^([a-z]+:|\/\/)/i.test(path || "")) return path;
+  return getRuntimeConfig().server + getRoute(path);
+}
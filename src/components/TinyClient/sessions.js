@@ -0,0 +1,99 @@
+/**
+ * Named sessions, which let several views of one browser be logged in as different users at the same time, e.g.
+ * a browser source showing the GM view next to one per player in the same streaming software.
+ *
+ * Foundry VTT keeps its session in the `session` cookie, shared by every view of the browser. A view opened with
+ * `profile=<name>` uses instead the session logged in for that profile, which is kept in the local storage of the
+ * browser. Views without a profile keep using the cookie.
+ */
+
+/**
+ * The local storage key of the sessions by profile name
+ * @type {string}
+ */
+const SESSIONS_KEY = "streamdeck.sessions";
+
+function readSessions() {
+  try {
+    return JSON.parse(window.localStorage.getItem(SESSIONS_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function writeSessions(sessions) {
+  try {
+    window.localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+  } catch (err) {
+    console.warn(
+      `Foundry VTT | The session could not be stored: ${err.message}`
+    );
+  }
+}
+
+/**
+ * The session cookie set by Foundry VTT
+ * @return {string|null}
+ */
+export function getSessionCookie() {
+  for (let cookie of document.cookie.split("; ")) {
+    const [name, value] = cookie.split("=");
+    if (name === "session" && value) return decodeURIComponent(value);
+  }
+  return null;
+}
+
+/**
+ * Set the session cookie back, e.g. after logging in for a profile
+ * @param {string|null} sessionId   The session, or null to remove the cookie
+ */
+export function setSessionCookie(sessionId) {
+  document.cookie = sessionId
+    ? `session=${encodeURIComponent(sessionId)}; path=/`
+    : "session=; path=/; expires=Thu, 01 Jan 1970 00:00:00 GMT";
+}
+
+/**
+ * The profile of the current view, given with the `profile` query parameter
+ * @return {string|null}
+ */
+export function getProfile() {
+  return new URLSearchParams(window.location.search).get("profile") || null;
+}
+
+/**
+ * The session id of a profile
+ * @param {string|null} [profile]   The profile, the one of the current view by default
+ * @return {string|null}            The session of the profile, or the session cookie without a profile
+ */
+export function getSession(profile = getProfile()) {
+  if (!profile) return getSessionCookie();
+  return readSessions()[profile] || null;
+}
+
+/**
+ * Keep the session logged in for a profile
+ * @param {string} profile
+ * @param {string} sessionId
+ */
+export function saveSession(profile, sessionId) {
+  writeSessions({ ...readSessions(), [profile]: sessionId });
+}
+
+/**
+ * Forget the session of a profile, e.g. on logging out
+ * @param {string} profile
+ */
+export function forgetSession(profile) {
+  const sessions = readSessions();
+  delete sessions[profile];
+  writeSessions(sessions);
+}
+
+/**
+ * The names of the profiles with a session
+ * @return {string[]}
+ */
+export function listProfiles() {
+  return Object.keys(readSessions());
+}
@@ -0,0 +1,98 @@
+import { getProperty } from "../utils";
+
+/**
+ * Resolve the Token placed in the active Scene for an Actor, if any
+ * @param {Actor} actor
+ * @return {Object|null}  The Token data
+ */
+export function activeToken(actor) {
+  if (actor.token) return actor.token.data || actor.token;
+  const scene = window.game.scenes.active;
+  if (!scene) return null;
+  return scene.data.tokens.find((t) => t.actorId === actor._id) || null;
+}
+
+/**
+ * The readable name of a status effect icon, e.g. "icons/svg/blind.svg" is "blind"
+ * @param {string} icon
+ * @return {string}
+ */
+export function effectName(icon) {
+  return icon.split("/")[icon.split("/").length - 1].split(".")[0];
+}
+
+/**
+ * Read a numeric value at a data path of the Actor, or null when the system does not provide it
+ * @private
+ */
+function numberAt(actor, path) {
+  if (!path) return null;
+  const value = Number(getProperty(actor.data, path));
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Build a system adapter which maps the concepts used by the views to data paths of the Actor.
+ * Every path is relative to Actor.data, e.g. "data.attributes.hp.value".
+ *
+ * @param {Object} paths
+ * @param {string} [paths.hp]         The current hit points
+ * @param {string} [paths.maxHp]      The maximum hit points
+ * @param {string} [paths.tempHp]     The temporary hit points
+ * @param {string} [paths.ac]         The armor class, or what defends the Actor in the system
+ * @param {string} [paths.level]      The level, rank or challenge of the Actor
+ * @param {Object[]} [paths.resources] Resources as {label, value, max} paths
+ * @param {Object} [overrides]        Adapter methods replacing the path based ones
+ * @return {Object}                   The adapter
+ */
+export function createAdapter(paths, overrides = {}) {
+  const adapter = {
+    paths: paths,
+
+    /**
+     * @return {{value: number|null, max: number|null, temp: number|null}}
+     */
+    hp(actor) {
+      return {
+        value: numberAt(actor, paths.hp),
+        max: numberAt(actor, paths.maxHp),
+        temp: numberAt(actor, paths.tempHp),
+      };
+    },
+
+    /** @return {number|null} */
+    ac(actor) {
+      return numberAt(actor, paths.ac);
+    },
+
+    /** @return {number|string|null} */
+    level(actor) {
+      if (!paths.level) return null;
+      const level = getProperty(actor.data, paths.level);
+      return level === undefined ? null : level;
+    },
+
+    /**
+     * @return {Object[]}   The resources as {label, value, max}, leaving out those the Actor does not have
+     */
+    resources(actor) {
+      return (paths.resources || [])
+        .map((r) => ({
+          label: getProperty(actor.data, r.labelPath) || r.label,
+          value: numberAt(actor, r.value),
+          max: numberAt(actor, r.max),
+        }))
+        .filter((r) => r.value !== null);
+    },
+
+    /**
+     * @return {string[]}   The names of the conditions affecting the Actor, from its Token status effects
+     */
+    conditions(actor) {
+      const token = activeToken(actor);
+      if (!token || !token.effects) return [];
+      return token.effects.map(effectName);
+    },
+  };
+  return Object.assign(adapter, overrides);
+}
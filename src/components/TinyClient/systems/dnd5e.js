@@ -0,0 +1,26 @@
+import { createAdapter } from "./adapter";
+
+/**
+ * Dungeons & Dragons Fifth Edition
+ */
+export const dnd5e = createAdapter(
+  {
+    hp: "data.attributes.hp.value",
+    maxHp: "data.attributes.hp.max",
+    tempHp: "data.attributes.hp.temp",
+    ac: "data.attributes.ac.value",
+    level: "data.details.level",
+    resources: ["primary", "secondary", "tertiary"].map((r) => ({
+      label: r,
+      labelPath: `data.resources.${r}.label`,
+      value: `data.resources.${r}.value`,
+      max: `data.resources.${r}.max`,
+    })),
+  },
+  {
+    level(actor) {
+      if (actor.data.type === "npc") return actor.data.data.details.cr;
+      return actor.data.data.details.level;
+    },
+  }
+);
@@ -0,0 +1,40 @@
+import { createAdapter } from "./adapter";
+import { getProperty } from "../utils";
+
+/**
+ * Read the attribute tracked by a bar of the Actor prototype Token
+ * @private
+ */
+function bar(actor, name) {
+  const attribute = getProperty(actor.data, `token.${name}.attribute`);
+  if (!attribute) return null;
+  const data = getProperty(actor.data.data, attribute);
+  if (data === undefined || data === null) return null;
+  if (typeof data === "object")
+    return {
+      label: attribute,
+      value: Number(data.value),
+      max: Number(data.max),
+    };
+  return { label: attribute, value: Number(data), max: null };
+}
+
+/**
+ * The fallback for systems without a dedicated adapter: hit points are whatever the Token bar1 tracks, the
+ * only resource is whatever the Token bar2 tracks
+ */
+export const generic = createAdapter(
+  {},
+  {
+    hp(actor) {
+      const hp = bar(actor, "bar1");
+      if (!hp) return { value: null, max: null, temp: null };
+      return { value: hp.value, max: hp.max, temp: null };
+    },
+
+    resources(actor) {
+      const resource = bar(actor, "bar2");
+      return resource ? [resource] : [];
+    },
+  }
+);
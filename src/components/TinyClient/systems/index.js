@@ -0,0 +1,40 @@
+import { dnd5e } from "./dnd5e";
+import { pf2e } from "./pf2e";
+import { swade } from "./swade";
+import { wfrp4e } from "./wfrp4e";
+import { generic } from "./generic";
+
+export { createAdapter, activeToken, effectName } from "./adapter";
+
+/**
+ * The registered system adapters, keyed by game system id
+ * @type {Map<string,Object>}
+ */
+const adapters = new Map([
+  ["dnd5e", dnd5e],
+  ["pf2e", pf2e],
+  ["swade", swade],
+  ["wfrp4e", wfrp4e],
+]);
+
+/**
+ * Register the adapter used for a game system, replacing any adapter already registered for it
+ * @param {string} systemId   The game system id, as in game.system.id
+ * @param {Object} adapter    An adapter, see createAdapter
+ */
+export function registerSystemAdapter(systemId, adapter) {
+  adapters.set(systemId, adapter);
+}
+
+/**
+ * Get the adapter of a game system, falling back to the generic Token bar adapter
+ * @param {string} [systemId]   The game system id, by default the system of the current game
+ * @return {Object}
+ */
+export function getSystemAdapter(systemId) {
+  if (systemId === undefined) {
+    const system = window.game && window.game.system;
+    systemId = system ? system.id : null;
+  }
+  return adapters.get(systemId) || generic;
+}
@@ -0,0 +1,33 @@
+import { createAdapter } from "./adapter";
+
+/**
+ * Pathfinder Second Edition, conditions are owned items of type "condition"
+ */
+export const pf2e = createAdapter(
+  {
+    hp: "data.attributes.hp.value",
+    maxHp: "data.attributes.hp.max",
+    tempHp: "data.attributes.hp.temp",
+    ac: "data.attributes.ac.value",
+    level: "data.details.level.value",
+    resources: [
+      {
+        label: "Hero Points",
+        value: "data.attributes.heroPoints.rank",
+        max: "data.attributes.heroPoints.max",
+      },
+      {
+        label: "Focus Points",
+        value: "data.resources.focus.value",
+        max: "data.resources.focus.max",
+      },
+    ],
+  },
+  {
+    conditions(actor) {
+      return (actor.data.items || [])
+        .filter((i) => i.type === "condition")
+        .map((i) => i.name);
+    },
+  }
+);
@@ -0,0 +1,35 @@
+import { createAdapter } from "./adapter";
+import { getProperty } from "../utils";
+
+/**
+ * Savage Worlds Adventure Edition. There are no hit points: the Actor health is the number of wounds it can still
+ * take, and the parry takes the place of the armor class.
+ */
+export const swade = createAdapter(
+  {
+    maxHp: "data.wounds.max",
+    ac: "data.stats.parry.value",
+    level: "data.advances.rank",
+    resources: [
+      {
+        label: "Bennies",
+        value: "data.bennies.value",
+        max: "data.bennies.max",
+      },
+      {
+        label: "Fatigue",
+        value: "data.fatigue.value",
+        max: "data.fatigue.max",
+      },
+    ],
+  },
+  {
+    hp(actor) {
+      const wounds = Number(getProperty(actor.data, "data.wounds.value"));
+      const max = Number(getProperty(actor.data, "data.wounds.max"));
+      if (!Number.isFinite(wounds) || !Number.isFinite(max))
+        return { value: null, max: null, temp: null };
+      return { value: max - wounds, max: max, temp: null };
+    },
+  }
+);
@@ -0,0 +1,26 @@
+import { createAdapter } from "./adapter";
+
+/**
+ * Warhammer Fantasy Roleplay Fourth Edition, hit points are wounds
+ */
+export const wfrp4e = createAdapter({
+  hp: "data.status.wounds.value",
+  maxHp: "data.status.wounds.max",
+  resources: [
+    {
+      label: "Fortune",
+      value: "data.status.fortune.value",
+      max: "data.status.fate.value",
+    },
+    {
+      label: "Resolve",
+      value: "data.status.resolve.value",
+      max: "data.status.resilience.value",
+    },
+    {
+      label: "Advantage",
+      value: "data.status.advantage.value",
+      max: "data.status.advantage.max",
+    },
+  ],
+});
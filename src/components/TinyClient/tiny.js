@@ -6,11 +6,40 @@ import {CombatEncounters} from './entities/combatEncounters'
 import {Scenes} from './entities/scenes'
 import {Users} from './entities/users'
 import {Messages} from './entities/messages'
+import {Hooks} from './hooks'
+import {ReplaySocket, SocketRecorder} from './replay'
+import {getRoute, getRuntimeConfig} from './runtime'
+import {forgetSession, getProfile, getSession} from './sessions'
 
 
 // import Compendium from './models/compendium'
-const ROUTE_PREFIX = undefined
 const vtt = "Foundry VTT";
+
+/**
+ * How long to wait before asking again for the World data, when the server is back but the World is not running
+ * @type {number}
+ */
+const RESYNC_DELAY = 5000;
+
+/**
+ * The acknowledged event periodically emitted to measure the round-trip latency, and how often and how long to wait
+ * for its acknowledgement, in milliseconds
+ */
+const PING_EVENT = "getWorldStatus";
+const PING_INTERVAL = 10000;
+const PING_TIMEOUT = 5000;
+
+/**
+ * How long to keep trying to connect to the server the first time before giving up, in milliseconds
+ */
+const CONNECT_TIMEOUT = 30000;
+
+/**
+ * How long to wait before trying again after a failure, doubling after each one up to the maximum, in milliseconds
+ */
+const RETRY_DELAY = 1000;
+const RETRY_DELAY_MAX = 30000;
+
 /**
  * The core Game instance which encapsulates the data, settings, and states relevant for managing the game experience.
  * The singleton instance of the Game class is available as the global variable ``game``.
@@ -20,7 +49,7 @@ const vtt = "Foundry VTT";
  * @param {Socket} socket       The open web-socket which should be used to transact game-state data
  */
 class Game {
-    constructor(worldData, sessionId, socket, stateUpdate) {
+    constructor(worldData, sessionId, socket) {
   
      
       /**
@@ -53,7 +82,28 @@ class Game {
        */
       this.sessionId = sessionId;
 
-      this.stateUpdate =stateUpdate;
+      /**
+       * The named session profile of the view, given with `profile=<name>`, see sessions.js
+       * @type {string|null}
+       */
+      this.profile = getProfile();
+
+      /**
+       * The health of the connection to the server
+       * @type {Object}
+       * @property {string} state               "connected", "reconnecting" or "failed"
+       * @property {number} attempts            The reconnection attempts since the connection was lost
+       * @property {number|null} latency        The last measured round-trip latency in milliseconds
+       * @property {number|null} lastPing       When the last latency measure was acknowledged
+       * @property {number|null} lastDocument   When the last modifyDocument or modifyEmbeddedDocument was received
+       */
+      this.connection = {
+        state: "connected",
+        attempts: 0,
+        latency: null,
+        lastPing: null,
+        lastDocument: null
+      };
   
     //   /**
     //    * Client settings which are used to configure application behavior
@@ -66,6 +116,12 @@ class Game {
        * @type {WebSocket}
        */
       this.socket = socket;
+
+      /**
+       * The recorder of the socket events, when the session is recorded with `record=true`
+       * @type {SocketRecorder|null}
+       */
+      this.recorder = null;
   
       /**
        * The id of the active World user, if any
@@ -99,7 +155,7 @@ class Game {
      * Fetch World data and return a Game instance
      * @return {Promise}  A Promise which resolves to the created Game instance
      */
-    static async create( stateUpdate) {
+    static async create() {
   
       // Display ASCII welcome
       console.log(`_______________________________________________________________
@@ -112,19 +168,39 @@ class Game {
   
 
 
-      // Retrieve the client session from cookies
-      const cookies = Game.getCookies();
-      const sessionId = cookies.session;
+      Game.reportConnection({state: "connecting", attempts: 0, latency: null, lastPing: null, lastDocument: null});
+
+      // Replay a recorded session instead of connecting, with `replay=<recording URL>`
+      const query = new URLSearchParams(window.location.search);
+      if ( query.get("replay") ) {
+        const socket = await ReplaySocket.load(query.get("replay"), {speed: Number(query.get("speed")) || 1});
+        return new Game(await this.getWorldData(socket), null, socket);
+      }
+
+      // A view link connects through the sidecar with its view token instead of a session, see sidecar/
+      const token = query.get("token");
+      if ( token ) {
+        console.log(`${vtt} | Attempting connection using a view link`);
+        const view = window.location.pathname.split("/").filter(p => p).pop();
+        const socket = await this.connect(null, {token, view});
+        return new Game(await this.getWorldData(socket), null, socket);
+      }
+
+      // Retrieve the client session from cookies, or the named session of the profile of the view
+      const profile = getProfile();
+      const sessionId = getSession(profile);
       if ( !sessionId ) {
-        console.error(`No client session ID available, redirecting to login`);
-        // window.location.href = ROUTE_PREFIX ? `/${ROUTE_PREFIX}/join` : "/join";
+        console.error(`No client session ID available${profile ? ` for the profile ${profile}` : ""}, redirecting to login`);
+        // window.location.href = getRoute("join");
       }
       console.log(`${vtt} | Attempting connection using session ${sessionId}`);
   
       // // Connect to the game socket, passing the client session ID to handshake
       const socket = await this.connect(sessionId);
       // console.log(`${vtt} | Connected to server socket using session ${sessionId}`);
-  
+
+      // Record the session with `record=true`, before the World data is requested
+      const recorder = query.get("record") === "true" ? new SocketRecorder(socket) : null;
 
 
       // Fetch World data, or Setup data if no world is configured
@@ -133,42 +209,97 @@ class Game {
       if ( !gameData.world ) gameData = await this.getSetupData(socket);
   
       // Create the Game instance
-      return new Game(gameData, sessionId, socket, stateUpdate);
+      const game = new Game(gameData, sessionId, socket);
+      game.recorder = recorder;
+      return game;
     }
   
     /* -------------------------------------------- */
   
-    hookUpdate(stateUpdate){
-      this.stateUpdate = stateUpdate
+    /**
+     * The origin of the game server, see getRuntimeConfig
+     * @type {string}
+     */
+    static get serverUrl() {
+      return getRuntimeConfig().server;
     }
+
+    /* -------------------------------------------- */
+
+    /**
+     * How long to wait before trying again, with the same backoff as the reconnection of the socket
+     * @param {number} failures   The failures so far
+     * @return {number}           The delay in milliseconds
+     */
+    static retryDelay(failures) {
+      return Math.min(RETRY_DELAY * 2 ** failures, RETRY_DELAY_MAX);
+    }
+
+    /* -------------------------------------------- */
+
+    /**
+     * Report the health of the connection while the Game is being created, in the shape of Game#connection, with
+     * the state "connecting" until the first connection, or "failed" when the Game could not be created
+     * and waits to be created again
+     * @param {Object} changes    The changed properties of Game.startConnection
+     */
+    static reportConnection(changes) {
+      Game.startConnection = {...Game.startConnection, ...changes};
+      Hooks.callAll("connectionStatus", Game.startConnection);
+    }
+
+    /* -------------------------------------------- */
+
     /**
      * Establish a live connection to the game server through the socket.io URL
      * @param {string} sessionId  The client session ID with which to establish the connection
-     * @return {Promise}          A promise which resolves to the connected socket, if successful
+     * @param {Object} [link]     The view token and the view shown, to connect with a view link instead
+     * @return {Promise}          A promise which resolves to the connected socket, if successful, and rejects when
+     *                            the connection is refused or not established within CONNECT_TIMEOUT
      */
-    static async connect(sessionId) {
-       const socketPath = ROUTE_PREFIX ? `/${ROUTE_PREFIX}/socket.io` : "/socket.io";
+    static async connect(sessionId, link = null) {
+       const socketPath = getRoute("socket.io");
       // const socketPath = "/";
       return new Promise((resolve, reject) => {
-        const socket = io.connect({
+        const socket = io.connect(Game.serverUrl, {
           path: socketPath,
           transports: (process.env.NODE_ENV === 'development' && ['polling', 'websocket']) || ["websocket"],    // Require websocket transport instead of XHR polling
           upgrade: false,               // Prevent "upgrading" to websocket since it is enforced
           reconnection: true,           // Automatically reconnect
-          reconnectionDelay: 1000,
-          reconnectionAttempts: 3,
-          reconnectionDelayMax: 5000,
-          query: { session: sessionId } // Pass session info
+          reconnectionDelay: RETRY_DELAY,
+          reconnectionAttempts: Infinity, // Overlays keep retrying for as long as the stream runs
+          reconnectionDelayMax: RETRY_DELAY_MAX,  // Back off up to 30 seconds between attempts
+          query: link || { session: sessionId } // Pass session info
         });
         // const socket = io.connect(window.location.origin, {
         //   reconnection: false,
         //   query: { session: sessionId },
         // });
-        socket.on("connect", () => resolve(socket));
-        socket.on("connectTimeout", timeout => {
-          reject(new Error("Failed to establish a socket connection within allowed timeout."))
+        // Each failed attempt is retried, the reconnection attempts being unbounded, until the connection is given up
+        let lastError = null;
+        let connected = false;
+        const fail = err => {
+          if ( connected ) return;
+          clearTimeout(timeout);
+          socket.close();
+          reject(err);
+        };
+        const timeout = setTimeout(() => fail(new Error(
+          `Failed to establish a socket connection within ${CONNECT_TIMEOUT / 1000} seconds` +
+          (lastError ? `: ${lastError.message || lastError}` : ".")
+        )), CONNECT_TIMEOUT);
+        socket.on("connect", () => {
+          connected = true;
+          clearTimeout(timeout);
+          resolve(socket);
         });
-        socket.on("connectError", err => reject(err));
+        socket.on("connect_timeout", () => lastError = new Error("The server did not answer in time"));
+        socket.on("connect_error", err => lastError = err);
+        socket.on("reconnect_attempt", attempts => {
+          if ( !connected ) Game.reportConnection({attempts});
+        });
+        // e.g. a view link refused by the sidecar
+        socket.on("error", err => fail(new Error(err)));
       });
     }
   
@@ -251,7 +382,6 @@ class Game {
       // Initialization Steps
       this.initializeEntities();
       this.openSockets();
-      this.stateUpdate()
   
     //   // If the player is not a GM and does not have an impersonated character, prompt for selection
     //   if (!this.user.isGM && !this.user.character) {
@@ -260,6 +390,7 @@ class Game {
   
       // Call all game ready hooks
       this.ready = true;
+      Hooks.callAll("ready", this);
     }
   
     /* -------------------------------------------- */
@@ -355,8 +486,10 @@ class Game {
      * Log out of the game session by returning to the Join screen
      */
     logOut() {
+      clearInterval(this._pingInterval);
       if ( this.socket ) this.socket.disconnect();
-      window.location.href = ROUTE_PREFIX ? `/${ROUTE_PREFIX}/join` : "/join";
+      if ( this.profile ) forgetSession(this.profile);
+      window.location.href = Game.serverUrl + getRoute("join");
     }
   
     /* -------------------------------------------- */
@@ -371,6 +504,10 @@ class Game {
       // Helper Listeners
       Game.socketListeners(this.socket);
 
+      // Measure the latency right away, then periodically
+      this.ping();
+      this._pingInterval = setInterval(() => this.ping(), PING_INTERVAL);
+
       // Database Listeners
       Entity.activateSocketListeners(this.socket);
       Scenes.socketListeners(this.socket);
@@ -387,19 +524,51 @@ class Game {
       // Disconnection and reconnection attempts
       socket.on('disconnect', (reason) => {
         console.error("You have lost connection to the server, attempting to re-establish.");
+        window.game.updateConnection({state: "reconnecting", latency: null});
+        // A disconnection initiated by the server, e.g. when it shuts down, is not retried automatically
+        if (reason === "io server disconnect") socket.connect();
       });
   
+      // Reconnect failed
+      socket.on('reconnect_attempt', (attemptNumber) => {
+        window.game.updateConnection({state: "reconnecting", attempts: attemptNumber});
+      });
+
+      // Connection refused, e.g. a revoked view link
+      socket.on('error', (err) => {
+        console.error(`${vtt} | ${err}`);
+        window.game.updateConnection({state: "failed"});
+      });
+
       // Reconnect failed
       socket.on('reconnect_failed', () => {
         console.error("Server connection lost.");
-        // window.location.href = ROUTE_PREFIX+"/no";
+        window.game.updateConnection({state: "failed"});
+        // window.location.href = getRoute("no");
       });
   
-      // Reconnect succeeded
-      socket.on('reconnect', (attemptNumber) => {
+      // Reconnect succeeded, catch up with whatever was missed meanwhile.
+      // The Game is created once connected, so any later connection is a reconnection, automatic or not
+      socket.on('connect', () => {
         console.info("Server connection re-established.");
+        window.game.updateConnection({state: "connected", attempts: 0});
+        window.game.ping();
+        // Catch up again after a failure, for as long as the connection lasts
+        const catchUp = failures => window.game.resync().then(() => {
+          if ( failures ) window.game.updateConnection({state: "connected"});
+        }, err => {
+          console.error(`${vtt} | Failed to catch up with the World: ${err}`);
+          window.game.updateConnection({state: "failed"});
+          setTimeout(() => socket.connected && catchUp(failures + 1), Game.retryDelay(failures));
+        });
+        catchUp(0);
       });
   
+      // Track when the World data last changed
+      const onDocument = () => window.game.updateConnection({lastDocument: Date.now()});
+      socket.on('modifyDocument', onDocument);
+      socket.on('modifyEmbeddedDocument', onDocument);
+
       // Handle pause
       socket.on('pause', pause => {
         window.game.togglePause(pause, false);
@@ -407,6 +576,83 @@ class Game {
     }
   
 
+    /* -------------------------------------------- */
+
+    /**
+     * Measure the round-trip latency to the server with an acknowledged emit.
+     * Without an acknowledgement in time the latency is reported as unknown.
+     */
+    ping() {
+      if ( !this.socket.connected ) return;
+      const sent = Date.now();
+      const timeout = setTimeout(() => this.updateConnection({latency: null}), PING_TIMEOUT);
+      this.socket.emit(PING_EVENT, () => {
+        clearTimeout(timeout);
+        const now = Date.now();
+        this.updateConnection({latency: now - sent, lastPing: now});
+      });
+    }
+
+    /* -------------------------------------------- */
+
+    /**
+     * Update the health of the connection and notify the connectionStatus hook
+     * @param {Object} changes    The changed properties of Game#connection
+     */
+    updateConnection(changes) {
+      this.connection = {...this.connection, ...changes};
+      Hooks.callAll("connectionStatus", this.connection);
+    }
+
+    /* -------------------------------------------- */
+
+    /**
+     * Request the World data again once the connection was re-established and reconcile every EntityCollection in
+     * place, so that mounted views catch up with the changes missed while disconnected without being reset.
+     * After a server restart the World may not be running yet, in which case the request is repeated until it is.
+     * @return {Promise}
+     */
+    async resync() {
+      clearTimeout(this._resyncTimeout);
+      const data = await Game.getWorldData(this.socket);
+      if ( !data || !data.world || !data.userId ) {
+        console.warn(`${vtt} | The World is not available yet, retrying in ${RESYNC_DELAY / 1000} seconds`);
+        this._resyncTimeout = setTimeout(() => {
+          if (this.socket.connected) this.resync();
+        }, RESYNC_DELAY);
+        return;
+      }
+      console.log(`${vtt} | Reconciling World data after reconnection`);
+      const paused = this.paused;
+      this.data = data;
+      this.userId = data.userId;
+
+      // Reconcile the collections, Scenes first since Actors and Combats refer to their Tokens
+      this.users.reconcile(data.users);
+      this.scenes.reconcile(data.scenes);
+      this.actors.reconcile(data.actors);
+      this.messages.reconcile(data.messages);
+      this.combats.reconcile(data.combat);
+
+      // Synthetic Token Actors follow their Token in the new Scene data
+      for ( let [tokenId, actor] of Object.entries(this.actors.tokens) ) {
+        const scene = this.scenes.find(s => s.getEmbeddedEntity("Token", tokenId));
+        const token = scene ? scene.getEmbeddedEntity("Token", tokenId) : null;
+        if ( token ) actor._onUpdateToken(token);
+        else delete this.actors.tokens[tokenId];
+      }
+
+      // Combat turns refer to the Token data as well
+      this.combats.forEach(c => {
+        if ( this.scenes.get(c.data.scene) ) c.setupTurns();
+      });
+
+      if ( this.paused !== paused ) Hooks.callAll("pauseGame", this.paused);
+      Hooks.callAll("resync", this);
+    }
+
+    /* -------------------------------------------- */
+
     togglePause(pause, push = false) {
       this.data.paused = pause
       if (push && this.user.isGM) this.socket.emit("pause", this.data.paused);
@@ -414,10 +660,16 @@ class Game {
       // ui.pause.render();
   
       // Call API hooks
-      // Hooks.callAll("pauseGame", this.data.paused);
+      Hooks.callAll("pauseGame", this.data.paused);
     }
    
   }
 
+  /**
+   * The health of the connection while the Game is being created, null until it is, see Game.reportConnection
+   * @type {Object|null}
+   */
+  Game.startConnection = null;
+
 
   export {Game}
\ No newline at end of file
@@ -0,0 +1,238 @@
+import { useContext } from "react";
+import qs from "qs";
+import { ENTITY_PERMISSIONS } from "./TinyClient/constants";
+import { getSystemAdapter, activeToken } from "./TinyClient/systems";
+import { Actor } from "./TinyClient/entities/actor";
+import {
+  GameContext,
+  useGameData,
+  serializeActors,
+  ACTOR_HOOKS,
+} from "./contextManager";
+
+/**
+ * Split a comma separated query parameter into its values
+ * @private
+ */
+function list(value) {
+  if (value === undefined || value === "") return null;
+  return String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter((v) => v.length);
+}
+
+/**
+ * Read the actor selection from the query string of a view.
+ *
+ * @param {string} search   The location search string, e.g. "?names=Aria,Brom&sort=hp"
+ * @return {Object}         The selection
+ * @property {string[]|null} ids      Only the actors with one of these ids (`ids=...`)
+ * @property {string[]|null} names    Only the actors with one of these names (`names=...`)
+ * @property {string[]|null} folders  Only the actors in one of these folders, by name or id (`folder=...`)
+ * @property {string[]|null} owners   Only the actors owned by one of these users, by name or id (`owner=...`)
+ * @property {boolean} inScene        Only the actors with a token in the active scene (`inscene=true`)
+ * @property {boolean} inCombat       Only the actors taking part in the current combat (`incombat=true`)
+ * @property {boolean} tokens         Select among the tokens of the active scene rather than the world actors, each
+ *                                    unlinked token with its own synthetic actor (`tokens=true`)
+ * @property {string} sort            The ordering: "name", "hp", "initiative" or "manual" (`sort=...`)
+ * @property {boolean} descending     Reverse the ordering (`order=desc`)
+ */
+export function parseSelection(search) {
+  const query = qs.parse(search || "", { ignoreQueryPrefix: true });
+  return {
+    ids: list(query.ids),
+    names: list(query.names),
+    folders: list(query.folder),
+    owners: list(query.owner),
+    inScene: query.inscene === "true",
+    inCombat: query.incombat === "true",
+    tokens: query.tokens === "true",
+    sort: query.sort || "manual",
+    descending: query.order === "desc",
+  };
+}
+
+/**
+ * Without any selection criteria, views show the player characters owned by the logged in user
+ * @private
+ */
+function isDefault(selection) {
+  return (
+    !selection.ids &&
+    !selection.names &&
+    !selection.folders &&
+    !selection.owners &&
+    !selection.inScene &&
+    !selection.inCombat &&
+    !selection.tokens
+  );
+}
+
+/**
+ * The ids of the folders matching the given names or ids
+ * @private
+ */
+function folderIds(game, folders) {
+  const data = game.data.folders || [];
+  return data
+    .filter((f) => folders.includes(f._id) || folders.includes(f.name))
+    .map((f) => f._id);
+}
+
+/**
+ * Whether a user has explicit ownership of the actor, GM users are not owners of everything here
+ * @private
+ */
+function isOwnedBy(actor, user) {
+  const permission = actor.data.permission || {};
+  const level = Number.isInteger(permission[user._id])
+    ? permission[user._id]
+    : permission["default"];
+  return level >= ENTITY_PERMISSIONS.OWNER;
+}
+
+/**
+ * The actors of the visible tokens in the active scene: the world actor for linked tokens, the synthetic token
+ * actor for unlinked ones
+ *
+ * @param {Game} game         The game instance
+ * @return {Actor[]}
+ */
+export function sceneTokenActors(game) {
+  const scene = game.scenes.active;
+  if (!scene) return [];
+  const actors = scene.data.tokens
+    .filter((token) => !token.hidden)
+    .map((token) => Actor.fromToken(token))
+    .filter((actor) => actor !== null);
+  return [...new Set(actors)];
+}
+
+/**
+ * A key identifying an actor shown by a view, which tells apart the synthetic actors of the same world actor
+ *
+ * @param {Actor} actor
+ * @return {string}           The token id of a synthetic token actor, otherwise the actor id
+ */
+export function actorKey(actor) {
+  return actor.isToken ? actor.token._id : actor._id;
+}
+
+/**
+ * The name shown for an actor, synthetic token actors are named after their token
+ * @private
+ */
+function actorName(actor) {
+  return actor.isToken && actor.token.name ? actor.token.name : actor.name;
+}
+
+/**
+ * Select and order the actors shown by a view
+ *
+ * @param {Game} game         The game instance
+ * @param {string} search     The location search string of the view
+ * @return {Actor[]}          The selected actors, ordered
+ */
+export function selectActors(game, search) {
+  const selection = parseSelection(search);
+  let actors = selection.tokens ? sceneTokenActors(game) : game.actors.entities;
+
+  if (isDefault(selection)) {
+    actors = actors.filter(
+      (actor) => actor.permission === ENTITY_PERMISSIONS.OWNER && actor.isPC
+    );
+  }
+  if (selection.ids)
+    actors = actors.filter((actor) => selection.ids.includes(actor._id));
+  if (selection.names)
+    actors = actors.filter(
+      (actor) =>
+        selection.names.includes(actor.name) ||
+        selection.names.includes(actorName(actor))
+    );
+  if (selection.folders) {
+    const folders = folderIds(game, selection.folders);
+    actors = actors.filter((actor) => folders.includes(actor.data.folder));
+  }
+  if (selection.owners) {
+    const users = game.users.filter(
+      (u) =>
+        selection.owners.includes(u._id) || selection.owners.includes(u.name)
+    );
+    actors = actors.filter((actor) => users.some((u) => isOwnedBy(actor, u)));
+  }
+  if (selection.inScene)
+    actors = actors.filter((actor) => activeToken(actor) !== null);
+  if (selection.inCombat) {
+    const combat = game.combat;
+    const turns = combat && combat.turns ? combat.turns : [];
+    actors = actors.filter((actor) =>
+      turns.some((c) => c.actor && c.actor._id === actor._id && !c.hidden)
+    );
+  }
+
+  return sortActors(game, actors, selection);
+}
+
+/**
+ * The actors selected by the query string of a view, rerendering the view when they or their values change
+ *
+ * @param {string} search     The location search string of the view
+ * @return {Actor[]}          The selected actors, ordered
+ */
+export function useSelectedActors(search) {
+  const game = useContext(GameContext);
+  return useGameData(
+    ACTOR_HOOKS,
+    () => selectActors(game, search),
+    serializeActors
+  );
+}
+
+/**
+ * Order the selected actors
+ * @private
+ */
+function sortActors(game, actors, selection) {
+  let sorted = actors;
+  switch (selection.sort) {
+    case "name":
+      sorted = [...actors].sort((a, b) =>
+        actorName(a).localeCompare(actorName(b))
+      );
+      break;
+    case "hp": {
+      const adapter = getSystemAdapter(game.system.id);
+      const hp = (actor) => adapter.hp(actor).value || 0;
+      sorted = [...actors].sort((a, b) => hp(a) - hp(b));
+      break;
+    }
+    case "initiative": {
+      // The hidden combatants are not shown, nor is their place in the turn order
+      const turns = (
+        game.combat && game.combat.turns ? game.combat.turns : []
+      ).filter((c) => !c.hidden);
+      const position = (actor) => {
+        const i = turns.findIndex((c) => c.actor && c.actor._id === actor._id);
+        return i === -1 ? turns.length : i;
+      };
+      sorted = [...actors].sort((a, b) => position(a) - position(b));
+      break;
+    }
+    default: {
+      // Manual ordering follows the order in which ids or names were listed
+      const order = selection.ids || selection.names;
+      if (order) {
+        const rank = (actor) => {
+          const i = order.findIndex(
+            (v) => v === actor._id || v === actor.name || v === actorName(actor)
+          );
+          return i === -1 ? order.length : i;
+        };
+        sorted = [...actors].sort((a, b) => rank(a) - rank(b));
+      }
+    }
+  }
+  return selection.descending ? sorted.reverse() : sorted;
+}
@@ -0,0 +1,35 @@
+/**
+ * Copy the text to the clipboard. Without the clipboard API, e.g. on an origin served without HTTPS other than
+ * localhost, or when its permission is denied, the text is selected and copied with the editing command, and when
+ * that fails too it is shown selected in a prompt to be copied by hand.
+ * @param {string} text         The text to copy, e.g. the URL of a view
+ * @return {Promise<boolean>}   Whether the text was copied, never rejected
+ */
+export async function copyText(text) {
+  if (navigator.clipboard) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (err) {
+      console.warn(`Could not write to the clipboard: ${err.message}`);
+    }
+  }
+
+  const field = document.createElement("textarea");
+  field.value = text;
+  field.setAttribute("readonly", "");
+  field.style.position = "fixed";
+  field.style.opacity = "0";
+  document.body.appendChild(field);
+  field.select();
+  let copied = false;
+  try {
+    copied = document.execCommand("copy");
+  } catch (err) {
+    // Not supported
+  }
+  document.body.removeChild(field);
+
+  if (!copied) window.prompt("Copy the URL with Ctrl+C", text);
+  return copied;
+}
@@ -1,13 +1,293 @@
-import React from "react";
+import React, { useContext, useEffect, useReducer, useRef } from "react";
 import { Game } from "./TinyClient/tiny";
+import { Hooks } from "./TinyClient/hooks";
+import { activeToken } from "./TinyClient/systems";
 
 export const GameContext = React.createContext(null);
 
+/**
+ * The client hooks after which actors, or the values views show for them, may have changed
+ */
+export const ACTOR_HOOKS = [
+  "createActor",
+  "updateActor",
+  "deleteActor",
+  "createOwnedItem",
+  "updateOwnedItem",
+  "deleteOwnedItem",
+  "createToken",
+  "updateToken",
+  "deleteToken",
+  "updateScene",
+  "updateCombat",
+  "createCombatant",
+  "updateCombatant",
+  "deleteCombatant",
+];
+
+/**
+ * The client hooks after which the viewed combat may have changed
+ */
+export const COMBAT_HOOKS = [
+  "createCombat",
+  "updateCombat",
+  "deleteCombat",
+  "createCombatant",
+  "updateCombatant",
+  "deleteCombatant",
+  "updateToken",
+];
+
+/**
+ * The client hooks after which the active scene may have changed
+ */
+export const SCENE_HOOKS = [
+  "createScene",
+  "updateScene",
+  "deleteScene",
+  "activateScene",
+  "createToken",
+  "updateToken",
+  "deleteToken",
+];
+
+/**
+ * The client hooks after which the chat log may have changed
+ */
+export const MESSAGE_HOOKS = [
+  "createChatMessage",
+  "updateChatMessage",
+  "deleteChatMessage",
+];
+
+/**
+ * Create the game once
+ * @param {Function} setGame  Called with the game once created
+ * @return {Promise<boolean>} Whether the game was created
+ */
 export async function init(setGame) {
-  await Game.create(() => {}).then(async (game) => {
-    window.game = game;
-    if (game.data.userId !== null) game.initialize();
+  return await Game.create()
+    .then(async (game) => {
+      window.game = game;
+      if (game.data.userId !== null) game.initialize();
+
+      setGame(game);
+      return true;
+    })
+    // e.g. an invalid view link, the view then stays empty rather than showing an error on stream
+    .catch((err) => {
+      console.error(err);
+      Game.reportConnection({ state: "failed", error: err.message });
+      return false;
+    });
+}
+
+/**
+ * Create the game, and create it again with a backoff for as long as it fails, e.g. while the server is down before
+ * the stream starts
+ * @param {Function} setGame  Called with the game once created
+ * @return {Function}         Stops retrying
+ */
+export function createGame(setGame) {
+  let stopped = false;
+  let retry = null;
+  const attempt = async (failures) => {
+    if ((await init(setGame)) || stopped) return;
+    retry = setTimeout(() => attempt(failures + 1), Game.retryDelay(failures));
+  };
+  attempt(0);
+  return () => {
+    stopped = true;
+    clearTimeout(retry);
+  };
+}
+
+/**
+ * Call back the component whenever one of the given client hooks is called, for as long as it is mounted.
+ * Every component subscribes on its own, so any number of views may listen to the same events.
+ * @param {string|string[]} hooks   The hook names, e.g. "updateActor" or ["createCombat", "updateCombat"]
+ * @param {Function} callback       Called with the arguments of the hook
+ */
+export function useHooks(hooks, callback) {
+  const latest = useRef(callback);
+  latest.current = callback;
+  const names = [].concat(hooks).join(",");
+
+  useEffect(() => {
+    const subscriptions = names
+      .split(",")
+      .map((hook) => [
+        hook,
+        Hooks.on(hook, (...args) => latest.current(...args)),
+      ]);
+    return () => subscriptions.forEach(([hook, id]) => Hooks.off(hook, id));
+  }, [names]);
+}
+
+/**
+ * Serialize the data a component shows, Entities serialize to their data
+ * @private
+ */
+function fingerprint(value) {
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Serialize actors for useGameData, with the token each is shown with since views may show its bars and effects
+ * @param {Actor[]} actors
+ * @return {string}
+ */
+export function serializeActors(actors) {
+  return fingerprint(actors.map((actor) => [actor, activeToken(actor)]));
+}
+
+/**
+ * Select a slice of the game data, rerendering the component when one of the given client hooks changed it.
+ * The slice is compared by its serialized data, hooks which leave it untouched do not rerender the component.
+ *
+ * @param {string|string[]} hooks   The hooks after which the slice may have changed
+ * @param {Function} select         Returns the slice from the game
+ * @param {Function} [serialize]    Serializes the slice for the comparison, by default as JSON
+ * @return {*}                      The selected slice
+ */
+export function useGameData(hooks, select, serialize = fingerprint) {
+  const [, forceUpdate] = useReducer((version) => version + 1, 0);
+  const last = useRef(null);
+  const latest = useRef(null);
+  latest.current = () => serialize(select());
+
+  const value = select();
+  last.current = serialize(value);
+
+  // Anything may have changed while the connection was lost
+  const update = () => {
+    const next = latest.current();
+    if (next === last.current) return;
+    last.current = next;
+    forceUpdate();
+  };
+  useHooks([].concat(hooks, "resync"), update);
 
-    setGame(game);
+  // The hooks called between the first render and the subscription are missed, e.g. by the components rendered
+  // next to the one creating the game
+  useEffect(update, []);
+  return value;
+}
+
+/**
+ * An actor by id, or the synthetic actor of an unlinked token by token id
+ * @param {string} id
+ * @return {Actor|null}
+ */
+export function useActor(id) {
+  const game = useContext(GameContext);
+  return useGameData(
+    ACTOR_HOOKS,
+    () => game.actors.get(id) || game.actors.tokens[id] || null,
+    (actor) => serializeActors(actor ? [actor] : [])
+  );
+}
+
+/**
+ * The world actors
+ * @param {Function} [filter]   Only the actors for which it returns true
+ * @return {Actor[]}
+ */
+export function useActors(filter = () => true) {
+  const game = useContext(GameContext);
+  return useGameData(
+    ACTOR_HOOKS,
+    () => game.actors.entities.filter(filter),
+    serializeActors
+  );
+}
+
+/**
+ * The active scene
+ * @return {Scene|null}
+ */
+export function useActiveScene() {
+  const game = useContext(GameContext);
+  return useGameData(SCENE_HOOKS, () => game.scenes.active || null);
+}
+
+/**
+ * The viewed combat encounter, which changes with the active scene
+ * @return {Combat|null}
+ */
+export function useCombat() {
+  const game = useContext(GameContext);
+  return useGameData([...COMBAT_HOOKS, ...SCENE_HOOKS], () => game.combat);
+}
+
+/**
+ * The chat messages, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.limit]      Only the last messages
+ * @param {Function} [options.filter]   Only the messages for which it returns true
+ * @return {ChatMessage[]}
+ */
+export function useMessages({ limit, filter = () => true } = {}) {
+  const game = useContext(GameContext);
+  return useGameData(MESSAGE_HOOKS, () => {
+    const messages = game.messages
+      .filter(filter)
+      .sort((a, b) => a.data.timestamp - b.data.timestamp);
+    return limit ? messages.slice(-limit) : messages;
   });
 }
+
+/**
+ * Whether the game is paused, false until the game is created
+ * @return {boolean}
+ */
+export function usePaused() {
+  const game = useContext(GameContext);
+  return useGameData("pauseGame", () => (game ? game.paused : false));
+}
+
+/**
+ * The health of the connection to the server, "connecting" or "failed" while the game is created, null until it starts
+ * @return {Object|null}    See Game#connection and Game.startConnection
+ */
+export function useConnection() {
+  const game = useContext(GameContext);
+  return useGameData("connectionStatus", () =>
+    game ? game.connection : Game.startConnection
+  );
+}
+
+/**
+ * Read a setting of the World, e.g. one the GM set for the views through the console or a module.
+ * Foundry VTT keeps setting values as JSON.
+ *
+ * @param {Game|null} game
+ * @param {string} key        The setting key, e.g. "streamdeck.theme"
+ * @return {*}                The value, or null when the setting is missing or invalid
+ */
+export function getWorldSetting(game, key) {
+  const settings = (game && game.data.settings) || [];
+  const setting = settings.find((s) => s.key === key);
+  if (!setting) return null;
+  try {
+    return JSON.parse(setting.value);
+  } catch (err) {
+    console.warn(`Foundry VTT | The ${key} setting is invalid`);
+    return null;
+  }
+}
+
+/**
+ * Read a flag of the World, written in the "flags" of its world.json manifest as a module lists its plugins, see
+ * worldPlugins
+ *
+ * @param {Game|null} game
+ * @param {string} key        The scope and name of the flag, e.g. "streamdeck.css" for {"streamdeck": {"css": ...}}
+ * @return {*}                The value, or null when the flag is missing
+ */
+export function getWorldFlag(game, key) {
+  const [scope, name] = key.split(".");
+  const world = (game && game.data.world) || {};
+  const flags = (world.flags && world.flags[scope]) || {};
+  return Object.prototype.hasOwnProperty.call(flags, name) ? flags[name] : null;
+}
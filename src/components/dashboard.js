@@ -0,0 +1,470 @@
+import React, { useContext, useEffect, useRef, useState } from "react";
+import { Button, Form } from "react-bootstrap";
+import qs from "qs";
+import { GameContext } from "./contextManager";
+import { getProfile } from "./TinyClient/sessions";
+import { getRuntimeConfig } from "./TinyClient/runtime";
+import { getView, getViews, viewSize } from "./views";
+import { colorStyle, useOffAirToggle } from "./viewSettings";
+import { ScaleContext } from "./scaling";
+import { copyText } from "./clipboard";
+
+import "./dashboard.css";
+
+/**
+ * The canvas the widgets are placed on, in pixels
+ */
+export const CANVAS = { width: 1920, height: 1080 };
+
+/**
+ * The widgets snap to a grid of this many pixels while moved or resized
+ */
+const GRID = 10;
+
+/**
+ * The layout of a dashboard without one
+ */
+export const DEFAULT_LAYOUT = {
+  widgets: [
+    {
+      id: "partyhud",
+      view: "partyhud",
+      x: 40,
+      y: 40,
+      width: 300,
+      height: 400,
+      options: {},
+    },
+    {
+      id: "initiative",
+      view: "initiative",
+      x: 760,
+      y: 20,
+      width: 400,
+      height: 200,
+      options: {},
+    },
+    {
+      id: "rollfeed",
+      view: "rollfeed",
+      x: 1280,
+      y: 40,
+      width: 600,
+      height: 900,
+      options: {},
+    },
+    {
+      id: "partyeffects",
+      view: "partyeffects",
+      x: 40,
+      y: 900,
+      width: 800,
+      height: 150,
+      options: {},
+    },
+  ],
+};
+
+/**
+ * An id for a new widget, unique in the layout, which keeps the widget apart from the others as they are added,
+ * moved and removed
+ *
+ * @param {Object[]} widgets    The widgets of the layout
+ * @param {string} view         The view of the new widget
+ * @return {string}
+ */
+export function widgetId(widgets, view) {
+  const taken = new Set(widgets.map((w) => w.id));
+  if (!taken.has(view)) return view;
+  let n = 2;
+  while (taken.has(`${view}-${n}`)) n++;
+  return `${view}-${n}`;
+}
+
+/**
+ * Read a dashboard layout, as {widgets: [{id, view, x, y, width, height, options}]} where the options are the query
+ * options of the view, by name. The widgets without an id, or with the id of another, are given one.
+ *
+ * @param {string} text     The layout, as JSON
+ * @return {Object}         The layout
+ * @throws {Error}          When the layout is not valid
+ */
+export function parseLayout(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("The layout is not valid JSON");
+  }
+  if (!data || !Array.isArray(data.widgets)) {
+    throw new Error("The layout has no list of widgets");
+  }
+  const widgets = [];
+  data.widgets.forEach((widget, i) => {
+    if (!widget || typeof widget.view !== "string") {
+      throw new Error(`The widget ${i + 1} of the layout has no view`);
+    }
+    const box = {};
+    for (let [key, minimum] of [
+      ["x", 0],
+      ["y", 0],
+      ["width", 1],
+      ["height", 1],
+    ]) {
+      const value = Number(widget[key]);
+      if (!Number.isFinite(value) || value < minimum) {
+        throw new Error(
+          `The widget ${i + 1} of the layout has no valid ${key}`
+        );
+      }
+      box[key] = Math.round(value);
+    }
+    const options = {};
+    for (let [name, value] of Object.entries(widget.options || {})) {
+      if (value !== null && value !== undefined && value !== "")
+        options[name] = String(value);
+    }
+    const id =
+      typeof widget.id === "string" &&
+      widget.id &&
+      !widgets.some((w) => w.id === widget.id)
+        ? widget.id
+        : widgetId(
+            widgets.concat(data.widgets.slice(i + 1).filter((w) => w)),
+            widget.view
+          );
+    widgets.push({ id, view: widget.view, ...box, options });
+  });
+  return { widgets };
+}
+
+/**
+ * @param {Object} layout
+ * @return {string}     The layout, as JSON
+ */
+export function serializeLayout(layout) {
+  return JSON.stringify(layout);
+}
+
+/**
+ * The URL of a dashboard showing a layout, for a browser source
+ *
+ * @param {Object} layout
+ * @param {string|null} [profile]   The profile the dashboard is logged in with, see sessions.js
+ * @return {string}
+ */
+export function dashboardUrl(layout, profile = getProfile()) {
+  const { basePath } = getRuntimeConfig();
+  const search = qs.stringify(
+    { layout: serializeLayout(layout), profile: profile || undefined },
+    { addQueryPrefix: true }
+  );
+  return `${window.location.origin}${basePath}/dashboard${search}`;
+}
+
+/**
+ * The layout of the settings, or the default one
+ * @private
+ */
+function readLayout(text) {
+  if (!text) return { layout: DEFAULT_LAYOUT, error: null };
+  try {
+    return { layout: parseLayout(text), error: null };
+  } catch (err) {
+    return { layout: { widgets: [] }, error: err.message };
+  }
+}
+
+function snap(value) {
+  return Math.round(value / GRID) * GRID;
+}
+
+/* -------------------------------------------- */
+/*  Widgets                                     */
+/* -------------------------------------------- */
+
+/**
+ * A view placed on the dashboard. Its settings are the options of the widget in the layout, e.g. the text size
+ * changed with the mouse wheel.
+ * @private
+ */
+function Widget({ widget, routeProps, editing, onChange, onRemove }) {
+  const game = useContext(GameContext);
+  const scale = useContext(ScaleContext);
+  const [moving, setMoving] = useState(null);
+  const box = moving || widget;
+  const view = widget.view === "dashboard" ? null : getView(widget.view);
+
+  // Follow the mouse until the button is released, then keep the new place in the layout, in pixels of the canvas
+  const drag = (event, resize) => {
+    event.preventDefault();
+    const start = { x: event.clientX, y: event.clientY };
+    let next = widget;
+    const move = (e) => {
+      const dx = (e.clientX - start.x) / scale;
+      const dy = (e.clientY - start.y) / scale;
+      next = resize
+        ? {
+            ...widget,
+            width: Math.max(GRID * 4, snap(widget.width + dx)),
+            height: Math.max(GRID * 4, snap(widget.height + dy)),
+          }
+        : {
+            ...widget,
+            x: Math.min(CANVAS.width - GRID, Math.max(0, snap(widget.x + dx))),
+            y: Math.min(CANVAS.height - GRID, Math.max(0, snap(widget.y + dy))),
+          };
+      setMoving(next);
+    };
+    const release = () => {
+      window.removeEventListener("mousemove", move);
+      window.removeEventListener("mouseup", release);
+      setMoving(null);
+      onChange(() => next);
+    };
+    window.addEventListener("mousemove", move);
+    window.addEventListener("mouseup", release);
+  };
+
+  // A dashboard opened with a view link only shows the views the link gives access to, see sidecar/
+  const link = game.data.viewLink;
+
+  let content;
+  if (view === null) {
+    content = <small>There is no {widget.view} view.</small>;
+  } else if (link && !link.views.includes(view.id)) {
+    content = (
+      <small>This view link does not give access to the {view.id} view.</small>
+    );
+  } else {
+    const values = { ...view.defaults, ...widget.options };
+    const settings = {
+      values,
+      search: qs.stringify(values, { addQueryPrefix: true }),
+      instance: "dashboard",
+      fixed: [],
+      set: (name, value) =>
+        onChange((current) => {
+          const options = { ...current.options };
+          if (value === undefined || value === null || value === "")
+            delete options[name];
+          else options[name] = String(value);
+          return { ...current, options };
+        }),
+      reset: () => onChange((current) => ({ ...current, options: {} })),
+    };
+    const Component = view.component;
+    content = (
+      <Component
+        {...routeProps}
+        location={{ ...routeProps.location, search: settings.search }}
+        settings={settings}
+      />
+    );
+  }
+
+  return (
+    <div
+      className={"dashboard-widget" + (editing ? " editing" : "")}
+      style={{
+        left: box.x,
+        top: box.y,
+        width: box.width,
+        height: box.height,
+        ...colorStyle(widget.options),
+      }}
+    >
+      {content}
+      {editing && (
+        <>
+          <div
+            className="dashboard-widget-handle"
+            onMouseDown={(e) => drag(e, false)}
+          >
+            <span>{view ? view.title : widget.view}</span>
+            <button
+              type="button"
+              aria-label="Remove"
+              onMouseDown={(e) => e.stopPropagation()}
+              onClick={onRemove}
+            >
+              ×
+            </button>
+          </div>
+          <div
+            className="dashboard-widget-resize"
+            onMouseDown={(e) => drag(e, true)}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * The tools to change the layout, over the dashboard in edit mode
+ * @private
+ */
+function Editor({ layout, fixed, onChange, onClose }) {
+  const game = useContext(GameContext);
+  const views = getViews().filter((v) => v.id !== "dashboard");
+  const [adding, setAdding] = useState(views[0].id);
+  const [json, setJson] = useState(null);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const add = () => {
+    const view = getView(adding);
+    const size = viewSize(view, "", game);
+    onChange((current) => ({
+      widgets: [
+        ...current.widgets,
+        {
+          id: widgetId(current.widgets, view.id),
+          view: view.id,
+          x: 0,
+          y: 0,
+          width: Math.min(size.width, CANVAS.width),
+          height: Math.min(size.height, CANVAS.height),
+          options: {},
+        },
+      ],
+    }));
+  };
+  const apply = () => {
+    try {
+      const next = parseLayout(json);
+      onChange(() => next);
+      setJson(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  const copy = () => copyText(dashboardUrl(layout)).then(setCopied);
+
+  return (
+    <div className="dashboard-editor" role="toolbar" aria-label="Dashboard">
+      <Form inline onSubmit={(e) => e.preventDefault()}>
+        <Form.Control
+          size="sm"
+          as="select"
+          aria-label="Widget"
+          value={adding}
+          onChange={(e) => setAdding(e.target.value)}
+        >
+          {views.map((v) => (
+            <option key={v.id} value={v.id}>
+              {v.title}
+            </option>
+          ))}
+        </Form.Control>
+        <Button size="sm" onClick={add}>
+          Add
+        </Button>
+        <Button
+          size="sm"
+          variant="secondary"
+          onClick={() =>
+            setJson(json === null ? serializeLayout(layout) : null)
+          }
+        >
+          Layout JSON
+        </Button>
+        <Button size="sm" variant="secondary" onClick={copy}>
+          {copied ? "Copied" : "Copy URL"}
+        </Button>
+        <Button size="sm" variant="secondary" onClick={onClose}>
+          Done
+        </Button>
+      </Form>
+      {fixed && (
+        <small>
+          The layout is given by the URL: copy the URL to keep the changes.
+        </small>
+      )}
+      {json !== null && (
+        <div className="dashboard-json">
+          <Form.Control
+            as="textarea"
+            aria-label="Layout JSON"
+            rows={6}
+            value={json}
+            onChange={(e) => setJson(e.target.value)}
+          />
+          {error && <small>{error}</small>}
+          <Button size="sm" onClick={apply}>
+            Apply
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Several views at absolute places on a 1920x1080 canvas, sharing the connection and the game data of the page: one
+ * browser source instead of one per view. The layout is a setting of the dashboard, stored by instance or given as
+ * JSON with `layout=`, and is edited with Ctrl+Shift+E by moving and resizing the widgets.
+ */
+export default function Dashboard(props) {
+  const { settings } = props;
+  const source = settings.values.layout;
+  const fixed = settings.fixed.includes("layout");
+  const [state, setState] = useState(() => readLayout(source));
+  const [editing, setEditing] = useOffAirToggle("KeyE");
+  const edited = useRef(false);
+
+  useEffect(() => setState(readLayout(source)), [source]);
+
+  // The layout given by the URL is only changed in the page, the one stored by instance is kept
+  const { layout } = state;
+  const set = settings.set;
+  useEffect(() => {
+    if (!edited.current || fixed) return;
+    const text = serializeLayout(layout);
+    if (text !== source) set("layout", text);
+  }, [layout, fixed, source, set]);
+
+  const change = (update) => {
+    edited.current = true;
+    setState((current) => ({ layout: update(current.layout), error: null }));
+  };
+  const changeWidget = (id) => (update) =>
+    change((current) => ({
+      widgets: current.widgets.map((w) => (w.id === id ? update(w) : w)),
+    }));
+  const removeWidget = (id) => () =>
+    change((current) => ({
+      widgets: current.widgets.filter((w) => w.id !== id),
+    }));
+
+  return (
+    <div
+      className="dashboard"
+      style={{ width: CANVAS.width, height: CANVAS.height }}
+    >
+      {state.error && <small className="dashboard-error">{state.error}</small>}
+      {layout.widgets.map((widget) => (
+        <Widget
+          key={widget.id}
+          widget={widget}
+          routeProps={props}
+          editing={editing}
+          onChange={changeWidget(widget.id)}
+          onRemove={removeWidget(widget.id)}
+        />
+      ))}
+      {editing && (
+        <Editor
+          layout={layout}
+          fixed={fixed}
+          onChange={change}
+          onClose={() => setEditing(false)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useEffect, useState, useRef } from "react";
+import { useHooks } from "./contextManager";
+import { gsap } from "gsap";
+import { CSSPlugin } from "gsap/CSSPlugin";
+
+import "./hpdelta.css";
+gsap.registerPlugin(CSSPlugin);
+
+let nextDeltaId = 0;
+
+/**
+ * Collect the hit point changes reported by the client through the updateHitPoints hook
+ * @return {Array} The pending deltas and a callback removing a delta once its floater is done
+ */
+export function useHpDeltas() {
+  const [deltas, setDeltas] = useState([]);
+
+  useHooks("updateHitPoints", (actor, change) =>
+    setDeltas((deltas) => [...deltas, { ...change, id: nextDeltaId++ }])
+  );
+
+  const remove = (id) =>
+    setDeltas((deltas) => deltas.filter((delta) => delta.id !== id));
+  return [deltas, remove];
+}
+
+/**
+ * The deltas reported for an actor, those of a synthetic token actor are told apart by their token
+ * @param {Object[]} deltas
+ * @param {Actor} actor
+ * @return {Object[]}
+ */
+export function deltasFor(deltas, actor) {
+  const tokenId = actor.isToken ? actor.token._id : null;
+  return deltas.filter(
+    (delta) =>
+      delta.actorId === actor._id && (delta.tokenId || null) === tokenId
+  );
+}
+
+/**
+ * A number which tweens to its new value instead of jumping to it
+ */
+export function TweenedNumber({ value, duration = 1 }) {
+  const element = useRef(null);
+  const displayed = useRef({ value: value });
+
+  useEffect(() => {
+    if (value === null) return;
+    const tween = gsap.to(displayed.current, duration, {
+      value: value,
+      ease: "power1.out",
+      onUpdate: () => {
+        if (element.current)
+          element.current.textContent = Math.round(displayed.current.value);
+      },
+    });
+    return () => tween.kill();
+  }, [value, duration]);
+
+  // Systems which do not track the value show a dash
+  if (value === null) return <span>-</span>;
+  if (displayed.current.value === null) displayed.current.value = value;
+  return <span ref={element}>{Math.round(displayed.current.value)}</span>;
+}
+
+function Floater({ delta, onDone }) {
+  const element = useRef(null);
+  // The floater plays once, whatever callback it was last given
+  const done = useRef(onDone);
+  done.current = onDone;
+
+  useEffect(() => {
+    const tween = gsap.fromTo(
+      element.current,
+      1.5,
+      { y: 0, opacity: 1, scale: 1.4 },
+      {
+        y: -60,
+        opacity: 0,
+        scale: 1,
+        ease: "power1.in",
+        onComplete: () => done.current(),
+      }
+    );
+    return () => tween.kill();
+  }, []);
+
+  return (
+    <span
+      ref={element}
+      className={"hpdelta-floater " + (delta.delta < 0 ? "damage" : "heal")}
+    >
+      {delta.delta > 0 ? "+" + delta.delta : delta.delta}
+    </span>
+  );
+}
+
+/**
+ * The floating "-7" / "+5" numbers of one actor
+ */
+export function HpFloaters({ deltas, onDone }) {
+  return (
+    <span className="hpdelta">
+      {deltas.map((delta) => (
+        <Floater key={delta.id} delta={delta} onDone={() => onDone(delta.id)} />
+      ))}
+    </span>
+  );
+}
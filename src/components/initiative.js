@@ -0,0 +1,86 @@
+import React, { useEffect, useRef } from "react";
+import { useCombat } from "./contextManager";
+import { foundryUrl } from "./TinyClient/runtime";
+import { Container } from "react-bootstrap";
+import { gsap } from "gsap";
+import { CSSPlugin } from "gsap/CSSPlugin";
+
+import "./initiative.css";
+gsap.registerPlugin(CSSPlugin);
+
+export default function Initiative() {
+  const active = useRef(null);
+  const roundLabel = useRef(null);
+  const last = useRef({ round: null, turn: null });
+
+  const combat = useCombat();
+
+  // Animate whenever Combat._onUpdate moved the encounter to another round or turn
+  useEffect(() => {
+    if (!combat) return;
+    const { round, turn } = combat.data;
+    const previous = last.current;
+    last.current = { round, turn };
+    if (previous.round === null) return;
+    if (round !== previous.round && roundLabel.current) {
+      gsap.fromTo(
+        roundLabel.current,
+        0.6,
+        { scale: 1.6, opacity: 0 },
+        { scale: 1, opacity: 1, ease: "back.out(2)" }
+      );
+    }
+    if (
+      (round !== previous.round || turn !== previous.turn) &&
+      active.current
+    ) {
+      gsap.fromTo(
+        active.current,
+        0.5,
+        { y: -20, opacity: 0.2 },
+        { y: 0, opacity: 1, ease: "power2.out" }
+      );
+    }
+  });
+
+  if (!combat || !combat.turns) return null;
+
+  // Combatants flagged hidden are never shown, regardless of who is logged in
+  const turns = combat.turns.filter((c) => !c.hidden);
+  const current = combat.combatant;
+
+  return (
+    <Container fluid className="initiative float-left">
+      <div ref={roundLabel} className="initiative-round">
+        {combat.started ? `Round ${combat.round}` : "Rolling initiative"}
+      </div>
+      <div className="initiative-strip">
+        {turns.map((c) => {
+          const isActive = combat.started && current && c._id === current._id;
+          return (
+            <div
+              key={c._id}
+              ref={isActive ? active : null}
+              className={
+                "initiative-combatant" +
+                (isActive ? " active" : "") +
+                (c.defeated ? " defeated" : "")
+              }
+            >
+              <img
+                width={64}
+                height={64}
+                src={foundryUrl(c.token.img || (c.actor && c.actor.img))}
+                alt={c.token.name}
+              />
+              <div className="initiative-name">{c.token.name}</div>
+              <div className="initiative-value">
+                {Number.isNumeric(c.initiative) ? c.initiative : "-"}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </Container>
+  );
+}
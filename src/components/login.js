@@ -1,93 +1,242 @@
-import React, { useState, useEffect, useRef, useContext } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { Row, Button } from "react-bootstrap";
 import { Game } from "./TinyClient/tiny";
-import io from "socket.io-client";
-import {  withRouter} from 'react-router-dom';
-import {init} from './contextManager'
-import qs from 'qs'
+import { init } from "./contextManager";
+import { foundryUrl } from "./TinyClient/runtime";
+import {
+  getProfile,
+  getSession,
+  getSessionCookie,
+  saveSession,
+  setSessionCookie,
+} from "./TinyClient/sessions";
+import qs from "qs";
 
-function Login(props) {
-  // const username = useFormInput("");
-  // const password = useFormInput("");
+/**
+ * The key under which the browser remembers the last user who logged in, for each profile
+ */
+const LAST_USER_KEY = "streamdeck.lastUser";
+
+function lastUserKey(profile) {
+  return profile ? `${LAST_USER_KEY}.${profile}` : LAST_USER_KEY;
+}
 
+const NO_WORLD =
+  "No game world is running on the Foundry VTT server. Launch one, then reload this page.";
+
+function rememberedUser(profile) {
+  try {
+    return window.localStorage.getItem(lastUserKey(profile));
+  } catch (err) {
+    return null;
+  }
+}
 
+function rememberUser(profile, userId) {
+  try {
+    window.localStorage.setItem(lastUserKey(profile), userId);
+  } catch (err) {
+    // Storage may be disabled, the user is then simply not remembered
+  }
+}
+
+/**
+ * Read the user list from the markup of the Foundry VTT join page
+ * @param {string} html
+ * @return {Object[]|null}    The users as {value, label}, or null when the markup holds no user list
+ */
+function usersFromMarkup(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const select = doc.querySelector(
+    '.form-group.split select, select[name="userid"]'
+  );
+  if (!select) return null;
+  const users = [...select.options]
+    .filter((opt) => opt.value)
+    .map((opt) => ({ value: opt.value, label: opt.label || opt.textContent }));
+  return users.length ? users : null;
+}
+
+/**
+ * Ask the server for the World data over the socket, with the session of the browser if there is one
+ * @param {string} [sessionId]
+ * @return {Promise<Object|null>}   The World data, or null when no World is running
+ */
+async function worldFromSocket(sessionId) {
+  const socket = await Game.connect(sessionId);
+  try {
+    const data = await Game.getWorldData(socket);
+    if (data && data.world) return data;
+
+    // The server is on its setup screen
+    await Game.getSetupData(socket);
+    return null;
+  } finally {
+    socket.disconnect();
+  }
+}
+
+function Login(props) {
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(true);
   const [options, setOptions] = useState([]);
-  const [sessionId, setsessionId] = useState(null)
+  const [currentUser, setCurrentUser] = useState(null);
 
   const selectRef = useRef();
   const passwdRef = useRef();
 
-  
+  // Log in to a named session instead of the session cookie, see sessions.js
+  const profile = getProfile();
+
+  const enter = async () => {
+    setLoading(true);
+    await init(props.setGame);
+    if (!window.game || window.game.data.userId === null) {
+      setError("The server did not open a session for this browser.");
+      setLoading(false);
+      return;
+    }
+    props.history.push({
+      pathname: "menu",
+      search: profile
+        ? qs.stringify({ profile }, { addQueryPrefix: true })
+        : "",
+    });
+  };
+
   // handle button click of login form
   const handleLogin = async () => {
+    const userId = selectRef.current.value;
     const data = new URLSearchParams();
-    data.append("userid", selectRef.current.selectedOptions[0].value);
+    data.append("userid", userId);
     data.append("password", passwdRef.current.value);
+    data.append("action", "join");
 
-    await fetch("/join", {
-      method: "post", // *GET, POST, PUT, DELETE, etc.
-      mode: "no-cors", // no-cors, *cors, same-origin
-      cache: "no-cache", // *default, no-cache, reload, force-cache, only-if-cached
-      // credentials: 'same-origin', // include, *same-origin, omit
+    setError(null);
+    setLoading(true);
+    // Without the session cookie the server opens another session for the profile, rather than logging in the
+    // session of the other views
+    const previousSession = getSessionCookie();
+    if (profile) setSessionCookie(null);
+    let result;
+    let session = null;
+    try {
+      const response = await fetch(foundryUrl("join"), {
+        method: "post",
+        cache: "no-cache",
+        credentials: "include",
+        body: data,
+      });
+      result = await response.json().catch(() => ({
+        status: response.ok ? "success" : "failed",
+        error: response.statusText,
+      }));
+      session = getSessionCookie();
+    } catch (err) {
+      setError(
+        `The Foundry VTT server can not be reached at ${Game.serverUrl}.`
+      );
+      setLoading(false);
+      return;
+    } finally {
+      if (profile) setSessionCookie(previousSession);
+    }
 
-      redirect: "follow", // manual, *follow, error
-      referrerPolicy: "no-referrer", // no-referrer, *no-referrer-when-downgrade, origin, origin-when-cross-origin, same-origin, strict-origin, strict-origin-when-cross-origin, unsafe-url
-      body: data,
-    });
-    for (let cookie of document.cookie.split("; ")) {
-      const [name, value] = cookie.split("=");
-      if (name === "session") {
-        setsessionId(decodeURIComponent(value));
-        break;
-      }
+    // A wrong password, a user already connected from another browser, or no running World
+    if (result.status !== "success") {
+      setError(result.error || result.message || "The login was refused.");
+      setLoading(false);
+      return;
     }
 
-    // let socket = await this.connect(sessionId);
-    await init (props.setGame);
-    // Game.create( () =>{}).then((game) => {
-    //   window.game = game;
-    //   props.setGame(game);
-    //   game.initialize();
-    // });
+    // Keep the session of a profile apart, leaving the session cookie to the other views
+    if (profile) {
+      if (!session || session === previousSession) {
+        setError("The session opened by the server could not be read.");
+        setLoading(false);
+        return;
+      }
+      saveSession(profile, session);
+    }
 
-    props.history.push("menu");
+    rememberUser(profile, userId);
+    await enter();
   };
 
+  useEffect(() => {
+    const query = qs.parse(props.location.search, { ignoreQueryPrefix: true });
+    if (query.page !== undefined) {
+      // Keep the other parameters, which configure the view
+      const { page, ...options } = query;
+      props.history.push({ pathname: page, search: qs.stringify(options) });
+      return () => {};
+    }
 
+    let active = true;
+    (async () => {
+      let users = null;
+      try {
+        const response = await fetch(foundryUrl("join"), {
+          cache: "no-cache",
+          credentials: "include",
+        });
+        users = usersFromMarkup(await response.text());
+      } catch (err) {
+        if (active) {
+          setError(
+            `The Foundry VTT server can not be reached at ${Game.serverUrl}.`
+          );
+          setLoading(false);
+        }
+        return;
+      }
+
+      // Without a user list in the join page, e.g. when its markup changed or no World is running, or with a
+      // session which may already be logged in, ask the server directly
+      const sessionId = getSession(profile);
+      if (users === null || sessionId) {
+        let world;
+        try {
+          world = await worldFromSocket(sessionId);
+        } catch (err) {
+          if (active) {
+            setError(
+              `The connection to the Foundry VTT server at ${Game.serverUrl} failed: ${err.message}`
+            );
+            setLoading(false);
+          }
+          return;
+        }
+        if (!active) return;
+        if (world === null) {
+          setError(NO_WORLD);
+          setLoading(false);
+          return;
+        }
+        if (world.userId) {
+          setCurrentUser(world.users.find((u) => u._id === world.userId));
+        }
+        if (users === null) {
+          users = world.users.map((u) => ({ value: u._id, label: u.name }));
+        }
+      }
+      if (!active) return;
+      setOptions(users);
+      setLoading(false);
+    })();
 
+    return () => {
+      active = false;
+    };
+  }, [props.location.search, props.history, profile]);
+
+  // Choose the user who last logged in from this browser
   useEffect(() => {
-    const query = qs.parse(props.location.search, { ignoreQueryPrefix: true })
-  if (query.page !== undefined)
-  {
-     props.history.push(query.page);
-     return () => {}
-  }
-    fetch("/join", {
-      method: "get", // *GET, POST, PUT, DELETE, etc.
-      mode: "no-cors", // no-cors, *cors, same-origin
-      cache: "no-cache", // *default, no-cache, reload, force-cache, only-if-cached
-      redirect: "follow", // manual, *follow, error
-      referrerPolicy: "no-referrer", // no-referrer, *no-referrer-when-downgrade, origin, origin-when-cross-origin, same-origin, strict-origin, strict-origin-when-cross-origin, unsafe-url
-    })
-      .then((data) => data.text())
-      .then((data) => {
-        let parser = new DOMParser();
-        let xmlDoc = parser.parseFromString(data, "text/html");
-        //    console.log(xmlDoc.getElementsByClassName('form-group split'))
-        // window.test = xmlDoc.getElementsByClassName('form-group split');
-        setOptions(
-          xmlDoc.getElementsByClassName("form-group split")[0].children[1]
-            .options
-        );
-      })
-      .then(() => setLoading(false));
-
-    return () => {};
-  }, []);
-
-  
+    const remembered = rememberedUser(profile);
+    if (selectRef.current && options.some((opt) => opt.value === remembered)) {
+      selectRef.current.value = remembered;
+    }
+  }, [options, profile]);
 
   return (
     <Row
@@ -99,15 +248,26 @@ function Login(props) {
       }}
     >
       <div className="mx-auto">
-        Login
+        Login{profile && ` (profile ${profile})`}
         <br />
         <br />
+        {currentUser && (
+          <div style={{ marginBottom: 10 }}>
+            <span>Logged in as {currentUser.name}</span>
+            <br />
+            <Button className="text-body" onClick={enter} disabled={loading}>
+              Continue
+            </Button>
+            <br />
+            <small>or log in as another user</small>
+          </div>
+        )}
         <div>
           Username
           <br />
           <select ref={selectRef} name="userid" required="">
-            {[...options].map((opt) => (
-              <option key={opt.label} value={opt.value}>
+            {options.map((opt) => (
+              <option key={opt.value} value={opt.value}>
                 {opt.label}
               </option>
             ))}
@@ -132,25 +292,17 @@ function Login(props) {
           </>
         )}
         <br />
-        <Button className="text-body" onClick={handleLogin} disabled={loading}>
+        <Button
+          className="text-body"
+          onClick={handleLogin}
+          disabled={loading || options.length === 0}
+        >
           {loading ? "Loading..." : "Login"}
         </Button>
         <br />
-      </div> 
+      </div>
     </Row>
   );
 }
 
-const useFormInput = (initialValue) => {
-  const [value, setValue] = useState(initialValue);
-
-  const handleChange = (e) => {
-    setValue(e.target.value);
-  };
-  return {
-    value,
-    onChange: handleChange,
-  };
-};
-
-export default Login
\ No newline at end of file
+export default Login;
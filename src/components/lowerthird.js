@@ -0,0 +1,134 @@
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useState,
+  useRef,
+} from "react";
+import { GameContext, useMessages } from "./contextManager";
+import { gsap } from "gsap";
+import { CSSPlugin } from "gsap/CSSPlugin";
+import qs from "qs";
+import { CHAT_MESSAGE_TYPES } from "./TinyClient/constants";
+import { ChatMessage } from "./TinyClient/entities/chatmessage";
+import { foundryUrl } from "./TinyClient/runtime";
+
+import { holdTime } from "./viewSettings";
+
+import "./lowerthird.css";
+gsap.registerPlugin(CSSPlugin);
+
+const DEFAULT_DWELL = 6;
+
+/**
+ * Resolve the image of the message speaker, preferring the token the message was spoken through
+ */
+function speakerImage(message) {
+  const speaker = message.data.speaker || {};
+  if (speaker.scene && speaker.token) {
+    const scene = window.game.scenes.get(speaker.scene);
+    const token = scene
+      ? scene.getEmbeddedEntity("Token", speaker.token)
+      : null;
+    if (token && token.img) return token.img;
+  }
+  const actor = ChatMessage.getSpeakerActor(speaker);
+  if (actor) return actor.img;
+  return message.user ? message.user.avatar : null;
+}
+
+/**
+ * Chat message content is HTML, only its text is shown on stream
+ */
+function messageText(message) {
+  const doc = new DOMParser().parseFromString(
+    message.data.content,
+    "text/html"
+  );
+  return doc.body.textContent;
+}
+
+export default function LowerThird(props) {
+  const game = useContext(GameContext);
+  const [current, setCurrent] = useState(null);
+  const panel = useRef(null);
+  const queue = useRef([]);
+
+  // Messages which were already in the log when the view was opened are never queued
+  const seen = useRef(new Set(game.messages.keys()));
+
+  const query = qs.parse(props.location.search, { ignoreQueryPrefix: true });
+  const dwell = Number(query.dwell) > 0 ? Number(query.dwell) : DEFAULT_DWELL;
+  const ooc = query.ooc === "true";
+  const whispers = query.whispers === "true";
+
+  const isShown = useCallback(
+    (message) => {
+      const types = [CHAT_MESSAGE_TYPES.IC, CHAT_MESSAGE_TYPES.EMOTE];
+      if (ooc) types.push(CHAT_MESSAGE_TYPES.OOC);
+      if (!types.includes(message.data.type) || !message.visible) return false;
+      return whispers || !message.data.whisper.length;
+    },
+    [ooc, whispers]
+  );
+
+  const unseen = useMessages({
+    filter: (message) => !seen.current.has(message.id),
+  });
+
+  // Queue any message created since the last render, then play the next one if the panel is free
+  useEffect(() => {
+    unseen.forEach((message) => {
+      seen.current.add(message.id);
+      if (isShown(message)) queue.current.push(message);
+    });
+    if (current === null && queue.current.length)
+      setCurrent(queue.current.shift());
+  }, [unseen, current, isShown]);
+
+  useEffect(() => {
+    if (current === null) return;
+    const timeline = gsap
+      .timeline({ onComplete: () => setCurrent(null) })
+      .fromTo(
+        panel.current,
+        0.5,
+        { x: -600, opacity: 0 },
+        { x: 0, opacity: 1, ease: "power3.out" }
+      )
+      .to(
+        panel.current,
+        0.5,
+        { x: -600, opacity: 0, ease: "power3.in" },
+        holdTime(dwell)
+      );
+    return () => timeline.kill();
+  }, [current, dwell]);
+
+  if (current === null) return null;
+  const image = speakerImage(current);
+  const emote = current.data.type === CHAT_MESSAGE_TYPES.EMOTE;
+
+  return (
+    <div className="lowerthird">
+      <div ref={panel} className={"lowerthird-panel" + (emote ? " emote" : "")}>
+        {image && (
+          <img
+            width={96}
+            height={96}
+            src={foundryUrl(image)}
+            alt={current.alias}
+          />
+        )}
+        <div className="lowerthird-body">
+          <div className="lowerthird-alias">{current.alias}</div>
+          <div className="lowerthird-content">
+            {emote
+              ? `${current.alias} ${messageText(current)}`
+              : messageText(current)}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import React, { useContext, useEffect, useRef } from "react";
 import { GameContext } from "./contextManager";
 import { Linear, TimelineMax } from "gsap";
+import { getSystemAdapter } from "./TinyClient/systems";
 
 export default function Marquee(props) {
   const game = useContext(GameContext);
@@ -8,23 +9,16 @@ export default function Marquee(props) {
   const l = useRef(null);
   const cl = useRef(null);
 
-  const currentScene = () => game.scenes.find((scene) => scene.active === true);
-
-  const actorToken = (actor) =>
-    currentScene(game).data.tokens.find((tk) => tk.actorId === actor._id);
+  const conditions = getSystemAdapter(game.system.id).conditions(props.actor);
 
   var listWidth = 10;
 
-  actorToken(props.actor).effects.map((ef) => {
-    listWidth +=
-      ef.split("/")[ef.split("/").length - 1].split(".")[0].length * props.size;
+  conditions.forEach((condition) => {
+    listWidth += condition.length * props.size;
   });
 
   var infinite = new TimelineMax({ repeat: -1, paused: true });
-  var time = 5;
-  actorToken(props.actor).effects.map((ef) => {
-    time += 5;
-  });
+  var time = 5 + conditions.length * 5;
 
   useEffect(() => {
     infinite
@@ -61,7 +55,7 @@ export default function Marquee(props) {
     return () => {};
   });
 
-  const effectsLength = actorToken(props.actor).effects.length;
+  const effectsLength = conditions.length;
 
   return (
     <div
@@ -70,22 +64,16 @@ export default function Marquee(props) {
       style={{ width: listWidth + "px" }}
     >
       <ul ref={l} className="list" style={{ width: listWidth + "px" }}>
-        {actorToken(props.actor).effects.map((ef, i) => (
+        {conditions.map((condition, i) => (
           <li key={i} className="listitem">
-            <span>
-              {ef.split("/")[ef.split("/").length - 1].split(".")[0] +
-                (effectsLength === i + 1 ? "." : ",")}
-            </span>
+            <span>{condition + (effectsLength === i + 1 ? "." : ",")}</span>
           </li>
         ))}
       </ul>
       <ul ref={cl} className="list cloned" style={{ width: listWidth + "px" }}>
-        {actorToken(props.actor).effects.map((ef, i) => (
+        {conditions.map((condition, i) => (
           <li key={i} className="listitem">
-            <span>
-              {ef.split("/")[ef.split("/").length - 1].split(".")[0] +
-                (effectsLength === i + 1 ? "." : ",")}
-            </span>
+            <span>{condition + (effectsLength === i + 1 ? "." : ",")}</span>
           </li>
         ))}
       </ul>
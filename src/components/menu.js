@@ -1,21 +1,202 @@
-import React from "react";
-import { NavLink } from "react-router-dom";
+import React, { useContext, useState } from "react";
+import { Link } from "react-router-dom";
+import { Button, Container, Form } from "react-bootstrap";
+import qs from "qs";
+import { GameContext } from "./contextManager";
+import { getProfile } from "./TinyClient/sessions";
+import { getRuntimeConfig } from "./TinyClient/runtime";
+import { COMMON_OPTIONS, useViews, viewSize } from "./views";
+import ViewLinks from "./viewlinks";
+import OptionControl from "./optionControl";
+import { copyText } from "./clipboard";
 
-export default function Menu() {
+import "./menu.css";
+
+/**
+ * What each kind of world data a view requires looks like when the world has none of it
+ */
+const REQUIREMENTS = {
+  actors: {
+    present: (game) => game.actors.entities.length > 0,
+    missing: "The world has no actors yet.",
+  },
+  combat: {
+    present: (game) => !!game.combat,
+    missing:
+      "There is no combat running, the view stays empty until one starts.",
+  },
+  messages: {
+    present: (game) => game.messages.size > 0,
+    missing: "The chat log is empty, the view shows the next messages.",
+  },
+  scene: {
+    present: (game) => !!game.scenes.active,
+    missing: "There is no active scene.",
+  },
+};
+
+/**
+ * The width of the preview, in pixels
+ */
+const PREVIEW_WIDTH = 480;
+
+/**
+ * The query string of a view for the chosen options, leaving out the ones which keep their default
+ *
+ * @param {Object} view       The registered view
+ * @param {Object} values     The chosen options, by name, as in the query string
+ * @param {string|null} profile   The profile the view is logged in with, see sessions.js
+ * @return {string}
+ */
+export function viewSearch(view, values, profile) {
+  const query = {};
+  for (let option of [...view.options, ...COMMON_OPTIONS]) {
+    const value = values[option.name];
+    if (value === undefined || value === "") continue;
+    if (String(value) === String(view.defaults[option.name])) continue;
+    query[option.name] = value;
+  }
+  if (profile) query.profile = profile;
+  return qs.stringify(query, {
+    addQueryPrefix: true,
+    // Lists stay readable, e.g. ids=a,b
+    encoder: (str, encode) => encode(str).replace(/%2C/gi, ","),
+  });
+}
+
+/**
+ * The URL a browser source opens to show a view
+ */
+function viewUrl(view, search) {
+  const { basePath } = getRuntimeConfig();
+  return `${window.location.origin}${basePath}/${view.id}${search}`;
+}
+
+/**
+ * A view shown scaled down to a given width
+ */
+function Preview({ url, size, width, title }) {
+  const scale = Math.min(1, width / size.width);
   return (
-    <div style={{ display: "flex", flexDirection: "column" }}>
-      {/* <NavLink exact activeClassName="active" to="/">
-        Login
-      </NavLink> */}
-      <NavLink activeClassName="active" to="/partyhud">
-        Party HUD
-      </NavLink>
-      <NavLink activeClassName="active" to="/partyhudlite">
-        Party HUD Lite
-      </NavLink>
-      <NavLink activeClassName="active" to="/partyeffects">
-        Party effect statuses
-      </NavLink>
+    <div
+      className="menu-preview"
+      style={{ width: size.width * scale, height: size.height * scale }}
+    >
+      <iframe
+        title={title}
+        src={url}
+        loading="lazy"
+        style={{
+          width: size.width,
+          height: size.height,
+          transform: `scale(${scale})`,
+        }}
+      />
     </div>
   );
 }
+
+/**
+ * The overlay URL builder: pick a view and its options, and copy the URL to give the browser source
+ */
+export default function Menu() {
+  const game = useContext(GameContext);
+  const views = useViews();
+  const [selected, setSelected] = useState(views[0].id);
+  const [values, setValues] = useState({});
+  const [copied, setCopied] = useState(false);
+  // Each preview is a view of its own, with its own connection and copy of the world, so it is only shown on demand
+  const [previewing, setPreviewing] = useState(false);
+
+  // The views open with the session of the profile the menu was opened with
+  const profile = getProfile();
+
+  const view = views.find((v) => v.id === selected) || views[0];
+  const search = viewSearch(view, values, profile);
+  const url = viewUrl(view, search);
+  const size = viewSize(view, search, game);
+  const missing = view.requires
+    .filter((r) => REQUIREMENTS[r] && !REQUIREMENTS[r].present(game))
+    .map((r) => REQUIREMENTS[r].missing);
+
+  const choose = (id) => {
+    setSelected(id);
+    setValues({});
+    setCopied(false);
+  };
+  const change = (name, value) => {
+    setValues({ ...values, [name]: value });
+    setCopied(false);
+  };
+  const copy = () => copyText(url).then(setCopied);
+
+  return (
+    <Container fluid className="menu">
+      <div className="menu-views">
+        {views.map((v) => (
+          <div
+            key={v.id}
+            className={"menu-view" + (v.id === view.id ? " active" : "")}
+            onClick={() => choose(v.id)}
+          >
+            <div className="menu-view-title">{v.title}</div>
+            {v.description && (
+              <div className="menu-view-description">{v.description}</div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="menu-builder">
+        <h5>{view.title}</h5>
+        {view.description && <p>{view.description}</p>}
+        <Form onSubmit={(e) => e.preventDefault()}>
+          {[...view.options, ...COMMON_OPTIONS].map((option) => (
+            <OptionControl
+              key={option.name}
+              option={option}
+              value={values[option.name]}
+              onChange={(value) => change(option.name, value)}
+            />
+          ))}
+        </Form>
+
+        <div className="menu-url">
+          <code>{url}</code>
+          <Button size="sm" className="text-body" onClick={copy}>
+            {copied ? "Copied" : "Copy"}
+          </Button>
+          <Link to={{ pathname: "/" + view.id, search }}>Open</Link>
+        </div>
+        <p>
+          Browser source size:{" "}
+          <strong>
+            {size.width} × {size.height}
+          </strong>
+        </p>
+        {missing.map((text) => (
+          <p key={text}>
+            <small>{text}</small>
+          </p>
+        ))}
+        <Button
+          size="sm"
+          variant="secondary"
+          onClick={() => setPreviewing(!previewing)}
+        >
+          {previewing ? "Hide the preview" : "Show the preview"}
+        </Button>
+        {previewing && (
+          <Preview
+            url={url}
+            size={size}
+            width={PREVIEW_WIDTH}
+            title={view.title + " preview"}
+          />
+        )}
+      </div>
+
+      <ViewLinks views={views} />
+    </Container>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useContext } from "react";
+import { Form } from "react-bootstrap";
+import { GameContext } from "./contextManager";
+
+/**
+ * The value a boolean option takes in the query string when checked
+ * @private
+ */
+function checkedValue(option) {
+  return option.value || "true";
+}
+
+/**
+ * The form control of a view option, see registerView. Values are read and given as in the query string: lists
+ * are comma separated and a checked boolean is "true", or the value of the option.
+ *
+ * @param {Object} props
+ * @param {Object} props.option           The option, as {name, label, type, choices, multiple, value}
+ * @param {string} [props.value]          The current value
+ * @param {Function} props.onChange       Called with the new value, "" when cleared
+ * @param {boolean} [props.disabled]
+ * @param {string} [props.idPrefix]       Tells apart the controls of several forms
+ */
+export default function OptionControl({
+  option,
+  value,
+  onChange,
+  disabled = false,
+  idPrefix = "option-",
+}) {
+  const game = useContext(GameContext);
+  const id = idPrefix + option.name;
+
+  if (option.type === "boolean") {
+    return (
+      <Form.Check
+        id={id}
+        type="checkbox"
+        label={option.label}
+        disabled={disabled}
+        checked={value === checkedValue(option)}
+        onChange={(e) => onChange(e.target.checked ? checkedValue(option) : "")}
+      />
+    );
+  }
+
+  let control;
+  if (option.type === "select") {
+    const choices =
+      typeof option.choices === "function"
+        ? option.choices(game)
+        : option.choices;
+    control = (
+      <Form.Control
+        id={id}
+        size="sm"
+        as="select"
+        disabled={disabled}
+        multiple={!!option.multiple}
+        value={option.multiple ? (value ? value.split(",") : []) : value || ""}
+        onChange={(e) =>
+          onChange(
+            option.multiple
+              ? [...e.target.selectedOptions].map((o) => o.value).join(",")
+              : e.target.value
+          )
+        }
+      >
+        {!option.multiple && !choices.some((c) => c.value === "") && (
+          <option value="">Default</option>
+        )}
+        {choices.map((choice) => (
+          <option key={choice.value} value={choice.value}>
+            {choice.label}
+          </option>
+        ))}
+      </Form.Control>
+    );
+  } else {
+    const types = { number: "number", color: "color" };
+    control = (
+      <Form.Control
+        id={id}
+        size="sm"
+        type={types[option.type] || "text"}
+        disabled={disabled}
+        value={value === undefined ? "" : value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    );
+  }
+  return (
+    <Form.Group className="option-control">
+      <Form.Label htmlFor={id}>{option.label}</Form.Label>
+      {control}
+    </Form.Group>
+  );
+}
@@ -1,5 +1,6 @@
-import React, { useContext, useEffect, useState, useRef } from "react";
-import { GameContext } from "./contextManager";
+import React from "react";
+import qs from "qs";
+import { actorKey, useSelectedActors } from "./actorSelection";
 import { Button, Row, Col, Media, Container } from "react-bootstrap";
 import { gsap, Linear, TimelineMax } from "gsap";
 import { CSSPlugin } from 'gsap/CSSPlugin'
@@ -8,25 +9,10 @@ import Marquee from "./marquee";
 
 import "./partyeffects.css";
 gsap.registerPlugin(CSSPlugin)
-function useForceUpdate() {
-  const [value, setValue] = useState(0); // integer state
-  return () => setValue((value) => ++value); // update the state to force render
-}
-
-export default function PartyEffects() {
-  const game = useContext(GameContext);
-  const [size, setsize] = useState(50);
-  const forceUpdate = useForceUpdate();
-
-  const actors = () =>
-    game.actors.filter((actor) => {
-      return actor.permission === 3;
-    });
 
-  useEffect(() => {
-    game.hookUpdate(forceUpdate);
-    return () => {};
-  }, []);
+export default function PartyEffects(props) {
+  const size = Number(qs.parse(props.location.search, { ignoreQueryPrefix: true }).size) || 50;
+  const actors = useSelectedActors(props.location.search);
 
   return (
     <Container
@@ -34,42 +20,40 @@ export default function PartyEffects() {
       style={{
         // maxWidth: "300px",
         marginLeft: 0,
-        color: "hsl(4, 50%, 50%)",
-        fontFamily: "Segoe",
+        color: "var(--sd-display-color)",
+        fontFamily: "var(--sd-display-font)",
         wordSpacing: "1px",
       }}
       onWheel={(event) => {
         if (event.deltaY > 0) {
-          setsize(size - 1);
+          props.settings.set("size", size - 1);
         } else {
-          setsize(size + 1);
+          props.settings.set("size", size + 1);
         }
       }}
     >
-      {[...actors()].map(
-        (actor, i) =>
-          actor.isPC && (
-            <Row
-              key={i}
-              style={{
-                // borderBottom: "2px solid #6f6c66",
-                wordSpacing: "1px",
-                fontSize: size + "px",
-                letterSpacing: "5px",
-                textTransform: "uppercase",
-                textShadow: `1px 1px hsl(4, 50%, 45%),
-               2px 2px hsl(4, 50%, 40%),
-               3px 3px hsl(4, 50%, 35%),
-               4px 4px hsl(4, 50%, 34%)`,
-                whiteSpace: "nowrap",
-              }}
-            >
-              <Col md={8} style={{ overflow: "hidden" }}>
-                <Marquee size={size} actor={actor} />
-              </Col>
-              <Col md={{ span: 4 }}>{actor.data.name}</Col>
-            </Row>
-          )
+      {actors.map(
+        (actor) => (
+          <Row
+            key={actorKey(actor)}
+            style={{
+              // borderBottom: "2px solid #6f6c66",
+              wordSpacing: "1px",
+              fontSize: size + "px",
+              letterSpacing: "5px",
+              textTransform: "uppercase",
+              textShadow: "var(--sd-display-shadow)",
+              whiteSpace: "nowrap",
+            }}
+          >
+            <Col md={8} style={{ overflow: "hidden" }}>
+              <Marquee size={size} actor={actor} />
+            </Col>
+            <Col md={{ span: 4 }}>
+              {actor.isToken ? actor.token.name : actor.data.name}
+            </Col>
+          </Row>
+        )
       )}
     </Container>
   );
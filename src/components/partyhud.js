@@ -1,63 +1,65 @@
-import React, { useContext, useEffect, useState } from "react";
+import React, { useContext } from "react";
+import qs from "qs";
 import { GameContext } from "./contextManager";
+import { useSelectedActors, actorKey } from "./actorSelection";
+import { useHpDeltas, deltasFor, TweenedNumber, HpFloaters } from "./hpdelta";
+import { getSystemAdapter } from "./TinyClient/systems";
+import { foundryUrl } from "./TinyClient/runtime";
 import { Button, Row, Col, Media, Container } from "react-bootstrap";
 
-function useForceUpdate() {
-  const [value, setValue] = useState(0); // integer state
-  return () => setValue((value) => ++value); // update the state to force render
-}
-
-export default function PartyHUD() {
+export default function PartyHUD(props) {
   const game = useContext(GameContext);
-  const forceUpdate = useForceUpdate();
-
-  useEffect(() => {
-    game.hookUpdate(forceUpdate);
-    return () => {};
-  }, []);
+  const [deltas, removeDelta] = useHpDeltas();
+  const actors = useSelectedActors(props.location.search);
+  const adapter = getSystemAdapter(game.system.id);
+  const { layout } = qs.parse(props.location.search, {
+    ignoreQueryPrefix: true,
+  });
+  const horizontal = layout === "horizontal";
 
   return (
     <Container
-      className="float-left"
-      style={{ maxWidth: "300px", marginLeft: 0 }}
+      className={horizontal ? "d-flex" : "float-left"}
+      style={{ maxWidth: horizontal ? "none" : "300px", marginLeft: 0 }}
     >
-      {[
-        ...game.actors.filter((actor) => {
-          return actor.permission === 3;
-        }),
-      ].map(
-        (actor) =>
-          actor.isPC && (
-            <Media
-              key={actor._id}
-              className="my-1"
-              style={{
-                background: "url(/ui/parchment.jpg) repeat",
-                border: "2px solid #6f6c66",
-                borderRadius: "5px",
-              }}
-            >
-              <img
-                width={64}
-                height={64}
-                className="mr-3 my-auto ml-2"
-                src={"/" + actor.data.img}
-                alt="Generic placeholder"
-              />
-              <Media.Body>
-                <div className="my-2">
-                  <h5 style={{ marginBottom: 0, fontWeight: "bold" }}>
-                    {actor.data.name}
-                  </h5>
-                  <p>
-                    {actor.data.data.attributes.hp.value}/
-                    {actor.data.data.attributes.hp.max}
-                  </p>
-                </div>
-              </Media.Body>
-            </Media>
-          )
-      )}
+      {actors.map((actor) => (
+        <Media
+          key={actorKey(actor)}
+          className={horizontal ? "my-1 mr-2" : "my-1"}
+          style={{
+            flex: horizontal ? "0 0 300px" : undefined,
+            background: "var(--sd-panel-background)",
+            border: "var(--sd-panel-border)",
+            borderRadius: "var(--sd-panel-radius)",
+            color: "var(--sd-panel-color)",
+            fontFamily: "var(--sd-panel-font)",
+            textShadow: "var(--sd-panel-shadow)",
+          }}
+        >
+          <img
+            width={64}
+            height={64}
+            className="mr-3 my-auto ml-2"
+            src={foundryUrl(actor.data.img)}
+            alt="Generic placeholder"
+          />
+          <Media.Body>
+            <div className="my-2">
+              <h5 style={{ marginBottom: 0, fontWeight: "bold" }}>
+                {actor.isToken ? actor.token.name : actor.data.name}
+              </h5>
+              <p>
+                <TweenedNumber value={adapter.hp(actor).value} />/
+                {adapter.hp(actor).max}
+                <HpFloaters
+                  deltas={deltasFor(deltas, actor)}
+                  onDone={removeDelta}
+                />
+              </p>
+            </div>
+          </Media.Body>
+        </Media>
+      ))}
     </Container>
   );
 }
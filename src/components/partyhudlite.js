@@ -1,21 +1,22 @@
-import React, { useContext, useEffect, useState } from "react";
+import React, { useContext } from "react";
+import qs from "qs";
 import { GameContext } from "./contextManager";
+import { useSelectedActors, actorKey } from "./actorSelection";
+import {
+  useHpDeltas,
+  deltasFor,
+  TweenedNumber,
+  HpFloaters,
+} from "./hpdelta";
+import { getSystemAdapter } from "./TinyClient/systems";
 import { Button, Row, Col, Media, Container } from "react-bootstrap";
 
-function useForceUpdate() {
-  const [value, setValue] = useState(0); // integer state
-  return () => setValue((value) => ++value); // update the state to force render
-}
-
-export default function PartyHUDLite() {
+export default function PartyHUDLite(props) {
   const game = useContext(GameContext);
-  const [size, setsize] = useState(50)
-  const forceUpdate = useForceUpdate();
-
-  useEffect(() => {
-    game.hookUpdate(forceUpdate);
-    return () => {};
-  }, []);
+  const size = Number(qs.parse(props.location.search, { ignoreQueryPrefix: true }).size) || 50;
+  const [deltas, removeDelta] = useHpDeltas();
+  const actors = useSelectedActors(props.location.search);
+  const adapter = getSystemAdapter(game.system.id);
 
   return (
     <Container
@@ -23,43 +24,43 @@ export default function PartyHUDLite() {
       style={{
         // maxWidth: "300px",
         marginLeft: 0,
-        color: "hsl(4, 50%, 50%)",
-        fontFamily: "Segoe",
+        color: "var(--sd-display-color)",
+        fontFamily: "var(--sd-display-font)",
         wordSpacing: "1px",
       }}
       onWheel={(event)=>{
         if (event.deltaY > 0) {
-          setsize(size-1)
+          props.settings.set("size", size-1)
   } else {
-    setsize(size+1)
+    props.settings.set("size", size+1)
   }
       }}
     >
-      {[
-        ...game.actors.filter((actor) => {
-          return actor.permission === 3;
-        }),
-      ].map(
-        (actor) =>
-          actor.isPC && (
-            <Row
-              key={actor._id}
-              style={{
-                // borderBottom: "2px solid #6f6c66",
-                wordSpacing: "1px",
-                fontSize: size+"px",
-                letterSpacing: "5px",
-                textTransform: "uppercase",
-                textShadow: `1px 1px hsl(4, 50%, 45%),
-               2px 2px hsl(4, 50%, 40%),
-               3px 3px hsl(4, 50%, 35%),
-               4px 4px hsl(4, 50%, 34%)`,
-              }}
-            >
-              <Col md={3}>{actor.data.data.attributes.hp.value}</Col>
-              <Col md={{ span: 4}}>{actor.data.name}</Col>
-            </Row>
-          )
+      {actors.map(
+        (actor) => (
+          <Row
+            key={actorKey(actor)}
+            style={{
+              // borderBottom: "2px solid #6f6c66",
+              wordSpacing: "1px",
+              fontSize: size+"px",
+              letterSpacing: "5px",
+              textTransform: "uppercase",
+              textShadow: "var(--sd-display-shadow)",
+            }}
+          >
+            <Col md={3}>
+              <TweenedNumber value={adapter.hp(actor).value} />
+              <HpFloaters
+                deltas={deltasFor(deltas, actor)}
+                onDone={removeDelta}
+              />
+            </Col>
+            <Col md={{ span: 4}}>
+              {actor.isToken ? actor.token.name : actor.data.name}
+            </Col>
+          </Row>
+        )
       )}
     </Container>
   );
@@ -0,0 +1,60 @@
+import React, { useEffect, useRef } from "react";
+import { usePaused } from "./contextManager";
+import { useShownViewValues } from "./viewSettings";
+import { gsap } from "gsap";
+import { CSSPlugin } from "gsap/CSSPlugin";
+import qs from "qs";
+
+import "./pause.css";
+gsap.registerPlugin(CSSPlugin);
+
+const DEFAULT_TEXT = "Paused";
+
+/**
+ * Wraps every view, dimming (`whenpaused=dim`) or hiding (`whenpaused=hide`) it while the game is paused, as set by
+ * the URL or the settings of the view
+ */
+export function PauseGate(props) {
+  const paused = usePaused();
+  const query = useShownViewValues();
+
+  let style = {};
+  if (paused && query.whenpaused === "dim") style = { opacity: 0.3 };
+  else if (paused && query.whenpaused === "hide")
+    style = { visibility: "hidden" };
+
+  return (
+    <div className="pause-gate" style={style}>
+      {props.children}
+    </div>
+  );
+}
+
+export default function Pause(props) {
+  const paused = usePaused();
+  const banner = useRef(null);
+
+  const query = qs.parse(props.location.search, { ignoreQueryPrefix: true });
+  const text = query.text || DEFAULT_TEXT;
+
+  useEffect(() => {
+    if (!paused) return;
+    const tween = gsap.fromTo(
+      banner.current,
+      0.8,
+      { opacity: 0, scale: 0.9 },
+      { opacity: 1, scale: 1, ease: "power2.out" }
+    );
+    return () => tween.kill();
+  }, [paused]);
+
+  if (!paused) return null;
+
+  return (
+    <div className="pause">
+      <div ref={banner} className="pause-banner">
+        {text}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useContext, useEffect, useReducer } from "react";
+import { useLocation } from "react-router-dom";
+import { GameContext, useHooks } from "./contextManager";
+import { ReplaySocket } from "./TinyClient/replay";
+import { useOnAir } from "./viewSettings";
+import qs from "qs";
+
+import "./recording.css";
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+/**
+ * Rerender the component every quarter second while active, for the times shown
+ */
+function useTicking(active) {
+  const [, tick] = useReducer((x) => x + 1, 0);
+  useEffect(() => {
+    if (!active) return;
+    const interval = setInterval(tick, 250);
+    return () => clearInterval(interval);
+  }, [active]);
+  return tick;
+}
+
+function clock(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+/**
+ * The controls of a replayed recording: play and pause, seek and speed. Hidden with `replaycontrols=false`, e.g. to
+ * rehearse a scene in the streaming software.
+ */
+export function ReplayControls() {
+  const game = useContext(GameContext);
+  const location = useLocation();
+  const query = qs.parse(location.search, { ignoreQueryPrefix: true });
+  const replay =
+    game && game.socket instanceof ReplaySocket ? game.socket : null;
+  const tick = useTicking(replay !== null && replay.playing);
+  useHooks("replayStatus", tick);
+
+  if (replay === null || query.replaycontrols === "false") return null;
+
+  return (
+    <div className="recording-controls">
+      <button onClick={() => (replay.playing ? replay.pause() : replay.play())}>
+        {replay.playing ? "Pause" : "Play"}
+      </button>
+      <input
+        type="range"
+        min={0}
+        max={replay.duration}
+        value={replay.position}
+        onChange={(e) => replay.seek(Number(e.target.value))}
+      />
+      <span className="recording-time">
+        {clock(replay.position)} / {clock(replay.duration)}
+      </span>
+      <select
+        value={replay.speed}
+        onChange={(e) => replay.setSpeed(Number(e.target.value))}
+      >
+        {[...new Set([...SPEEDS, replay.speed])]
+          .sort((a, b) => a - b)
+          .map((speed) => (
+            <option key={speed} value={speed}>
+              {speed}x
+            </option>
+          ))}
+      </select>
+    </div>
+  );
+}
+
+/**
+ * The recording indicator of a session recorded with `record=true`, to save the recording. Hidden while OBS streams
+ * or records, so that it never shows on stream.
+ */
+export function RecordControls() {
+  const game = useContext(GameContext);
+  const recorder = game ? game.recorder : null;
+  const live = useOnAir();
+  useTicking(recorder !== null && !live);
+
+  if (recorder === null || live) return null;
+
+  return (
+    <div className="recording-controls">
+      <span className="recording-dot" />
+      <span className="recording-time">
+        {clock(recorder.duration)}, {recorder.events.length} events
+        {recorder.full && " (full)"}
+      </span>
+      <button onClick={() => recorder.save()}>Save</button>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import React, { useContext, useEffect, useRef } from "react";
+import { GameContext, useMessages } from "./contextManager";
+import { Container } from "react-bootstrap";
+import { gsap } from "gsap";
+import { CSSPlugin } from "gsap/CSSPlugin";
+
+import "./rollfeed.css";
+gsap.registerPlugin(CSSPlugin);
+
+const FEED_LENGTH = 5;
+
+/**
+ * Only public rolls may reach the stream: whispered, GM and blind rolls are always left out,
+ * even when the logged in user is allowed to see them
+ */
+function isStreamable(message) {
+  if (!message.isRoll || !message.visible || !message.isContentVisible)
+    return false;
+  if (message.data.blind || message.data.whisper.length) return false;
+  return message.roll !== false;
+}
+
+function dieResultClass(die, result) {
+  if (result.rerolled || result.discarded) return "rollfeed-die discarded";
+  if (result.roll === Math.max(...die.sides)) return "rollfeed-die max";
+  if (result.roll === Math.min(...die.sides)) return "rollfeed-die min";
+  return "rollfeed-die";
+}
+
+function RollEntry({ message }) {
+  const entry = useRef(null);
+  const roll = message.roll;
+
+  useEffect(() => {
+    gsap.fromTo(
+      entry.current,
+      0.4,
+      { x: -40, opacity: 0 },
+      { x: 0, opacity: 1, ease: "power2.out" }
+    );
+  }, []);
+
+  return (
+    <div ref={entry} className="rollfeed-entry">
+      <div className="rollfeed-header">
+        <span className="rollfeed-alias">{message.alias}</span>
+        <span className="rollfeed-formula">{roll.formula}</span>
+      </div>
+      <div className="rollfeed-dice">
+        {roll.dice.map((die, i) =>
+          die.rolls.map((result, j) => (
+            <span key={i + "-" + j} className={dieResultClass(die, result)}>
+              {result.roll}
+            </span>
+          ))
+        )}
+        <span className="rollfeed-total">= {roll.total}</span>
+      </div>
+    </div>
+  );
+}
+
+export default function RollFeed() {
+  const game = useContext(GameContext);
+
+  // Messages which were already in the log when the view was opened are not part of the feed
+  const known = useRef(new Set(game.messages.keys()));
+
+  const rolls = useMessages({
+    limit: FEED_LENGTH,
+    filter: (message) =>
+      !known.current.has(message.id) && isStreamable(message),
+  });
+
+  return (
+    <Container fluid className="rollfeed float-left">
+      {rolls.map((message) => (
+        <RollEntry key={message.id} message={message} />
+      ))}
+    </Container>
+  );
+}
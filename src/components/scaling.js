@@ -0,0 +1,127 @@
+import React, { createContext, useEffect, useState } from "react";
+
+import "./scaling.css";
+
+/**
+ * The resolution views are designed at without one of their own, the broadcast canvas
+ */
+export const DEFAULT_DESIGN = { width: 1920, height: 1080 };
+
+/**
+ * Where the view is placed in the viewport, as the fraction of the free space left of it and above it
+ */
+export const ANCHORS = {
+  "top-left": [0, 0],
+  top: [0.5, 0],
+  "top-right": [1, 0],
+  left: [0, 0.5],
+  center: [0.5, 0.5],
+  right: [1, 0.5],
+  "bottom-left": [0, 1],
+  bottom: [0.5, 1],
+  "bottom-right": [1, 1],
+};
+
+/**
+ * The safe areas of a 16:9 frame, as the fraction of its width and height, after SMPTE RP 2046-1
+ */
+const SAFE_AREAS = [
+  { id: "action", label: "Action safe", size: 0.93 },
+  { id: "title", label: "Title safe", size: 0.9 },
+];
+
+/**
+ * The scale the view is drawn at, 1 unless scaled to the browser source. Views handling the mouse read it to turn
+ * moves on screen into moves in their design resolution.
+ */
+export const ScaleContext = createContext(1);
+
+/**
+ * The design resolution of a view: `design=<width>x<height>` in the query, or the one the view was registered with,
+ * or the size of its browser source when it does not depend on the world
+ *
+ * @param {Object} view       The registered view
+ * @param {Object} values     The settings of the view
+ * @return {{width: number, height: number}}
+ */
+export function designSize(view, values) {
+  const match = /^(\d+)x(\d+)$/.exec(values.design || "");
+  if (match && Number(match[1]) > 0 && Number(match[2]) > 0) {
+    return { width: Number(match[1]), height: Number(match[2]) };
+  }
+  if (view.design) return view.design;
+  return typeof view.size === "function" ? DEFAULT_DESIGN : view.size;
+}
+
+/**
+ * The size of the browser window, following its changes
+ * @private
+ */
+function useViewport() {
+  const read = () => ({ width: window.innerWidth, height: window.innerHeight });
+  const [viewport, setViewport] = useState(read);
+  useEffect(() => {
+    const resize = () => setViewport(read());
+    window.addEventListener("resize", resize);
+    return () => window.removeEventListener("resize", resize);
+  }, []);
+  return viewport;
+}
+
+/**
+ * The title-safe and action-safe areas of the browser source, to lay out views away from the edges of the frame
+ */
+export function SafeGuides() {
+  return (
+    <div className="safe-guides" aria-hidden="true">
+      {SAFE_AREAS.map((area) => (
+        <div
+          key={area.id}
+          className={"safe-guide safe-guide-" + area.id}
+          style={{
+            left: `${((1 - area.size) / 2) * 100}%`,
+            top: `${((1 - area.size) / 2) * 100}%`,
+            width: `${area.size * 100}%`,
+            height: `${area.size * 100}%`,
+          }}
+        >
+          <span>{area.label}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Lay out a view at its design resolution and place it in the browser window by its anchor, scaled uniformly to fit
+ * the window when `fit` is set
+ *
+ * @param {Object} props
+ * @param {{width: number, height: number}} props.design
+ * @param {string} [props.anchor]   One of ANCHORS, top-left by default
+ * @param {boolean} [props.fit]
+ */
+export default function Scaled({ design, anchor, fit, children }) {
+  const viewport = useViewport();
+  const scale = fit
+    ? Math.min(viewport.width / design.width, viewport.height / design.height)
+    : 1;
+  const [x, y] = ANCHORS[anchor] || ANCHORS["top-left"];
+
+  return (
+    <div className="scaled">
+      <div
+        className="scaled-view"
+        style={{
+          left: (viewport.width - design.width * scale) * x,
+          top: (viewport.height - design.height * scale) * y,
+          width: design.width,
+          height: design.height,
+          transform: `scale(${scale})`,
+        }}
+      >
+        <ScaleContext.Provider value={scale}>{children}</ScaleContext.Provider>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import React, { useEffect, useState, useRef } from "react";
+import { useHooks } from "./contextManager";
+import { gsap } from "gsap";
+import { CSSPlugin } from "gsap/CSSPlugin";
+import qs from "qs";
+import { foundryUrl } from "./TinyClient/runtime";
+
+import { holdTime } from "./viewSettings";
+
+import "./scenetitle.css";
+gsap.registerPlugin(CSSPlugin);
+
+const DEFAULT_DURATION = 5;
+
+export default function SceneTitle(props) {
+  const [scene, setScene] = useState(null);
+  const card = useRef(null);
+
+  const query = qs.parse(props.location.search, { ignoreQueryPrefix: true });
+  const duration =
+    Number(query.duration) > 0 ? Number(query.duration) : DEFAULT_DURATION;
+
+  // Only the activation of a scene brings the card up, other game updates are ignored
+  useHooks("activateScene", (scene) => setScene(scene));
+
+  useEffect(() => {
+    if (scene === null) return;
+    const timeline = gsap
+      .timeline({ onComplete: () => setScene(null) })
+      .fromTo(card.current, 1, { opacity: 0 }, { opacity: 1 })
+      .fromTo(
+        card.current.querySelector(".scenetitle-name"),
+        1,
+        { y: 40, opacity: 0 },
+        { y: 0, opacity: 1, ease: "power2.out" },
+        0.3
+      )
+      .to(card.current, 1, { opacity: 0 }, holdTime(duration));
+    return () => timeline.kill();
+  }, [scene, duration]);
+
+  if (scene === null) return null;
+  const image = scene.data.thumb || scene.data.img;
+
+  return (
+    <div ref={card} className="scenetitle">
+      {image && (
+        <div
+          className="scenetitle-background"
+          style={{ backgroundImage: `url("${foundryUrl(image)}")` }}
+        />
+      )}
+      <div className="scenetitle-name">{scene.name}</div>
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import React, { useContext, useEffect, useState } from "react";
+import { GameContext, useConnection } from "./contextManager";
+import { Container, Table } from "react-bootstrap";
+import { getProfile } from "./TinyClient/sessions";
+import { useShownViewValues } from "./viewSettings";
+
+import "./status.css";
+
+/**
+ * Latency above which the connection is reported as slow, in milliseconds
+ */
+const SLOW_LATENCY = 500;
+
+const STATE_LABELS = {
+  connecting: "Connecting",
+  connected: "Connected",
+  reconnecting: "Reconnecting",
+  failed: "Connection failed",
+};
+
+/**
+ * Rerender the component every second, for the times shown relative to now
+ */
+function useNow() {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+  return now;
+}
+
+function ago(time, now) {
+  if (time === null) return "never";
+  const seconds = Math.max(0, Math.round((now - time) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600)
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s ago`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor(
+    (seconds % 3600) / 60
+  )}m ago`;
+}
+
+/**
+ * "ok", "slow" or "down", which colors the badge
+ */
+function health(connection) {
+  if (connection.state !== "connected") return "down";
+  if (connection.latency === null || connection.latency > SLOW_LATENCY)
+    return "slow";
+  return "ok";
+}
+
+function stateLabel(connection) {
+  const label = STATE_LABELS[connection.state] || connection.state;
+  if (
+    (connection.state === "connecting" ||
+      connection.state === "reconnecting") &&
+    connection.attempts
+  )
+    return `${label} (attempt ${connection.attempts})`;
+  return label;
+}
+
+/**
+ * A small badge in the corner of a view showing the health of the connection, enabled with `health=true`,
+ * or with `health=issues` to only show up when the connection is not healthy, in the URL or the settings of the view
+ */
+export function HealthBadge() {
+  const connection = useConnection();
+  const query = useShownViewValues();
+
+  if (connection === null) return null;
+  if (query.health !== "true" && query.health !== "issues") return null;
+  const status = health(connection);
+  if (query.health === "issues" && status === "ok") return null;
+
+  return (
+    <div className={"health-badge " + status}>
+      <span className="health-dot" />
+      {connection.state === "connected"
+        ? connection.latency !== null
+          ? `${connection.latency} ms`
+          : "no answer"
+        : stateLabel(connection)}
+    </div>
+  );
+}
+
+/**
+ * The state of the connection before the game starts to be created
+ */
+const NOT_STARTED = {
+  state: "connecting",
+  attempts: 0,
+  latency: null,
+  lastPing: null,
+  lastDocument: null,
+};
+
+/**
+ * The /status diagnostics page, also shown while the game is created and when it could not be
+ */
+export default function Status() {
+  const game = useContext(GameContext);
+  const connection = useConnection() || NOT_STARTED;
+  const now = useNow();
+
+  const user = game && game.user;
+
+  return (
+    <Container className="status">
+      <h3>Connection status</h3>
+      <Table size="sm">
+        <tbody>
+          <tr>
+            <th>Socket</th>
+            <td>
+              <span className={"health-dot " + health(connection)} />
+              {stateLabel(connection)}
+            </td>
+          </tr>
+          {connection.error && (
+            <tr>
+              <th>Error</th>
+              <td>{connection.error}</td>
+            </tr>
+          )}
+          <tr>
+            <th>Latency</th>
+            <td>
+              {connection.latency !== null
+                ? `${connection.latency} ms`
+                : "no answer"}
+              {connection.lastPing !== null &&
+                `, measured ${ago(connection.lastPing, now)}`}
+            </td>
+          </tr>
+          <tr>
+            <th>Last document update</th>
+            <td>
+              {connection.lastDocument !== null &&
+                new Date(connection.lastDocument).toLocaleTimeString() + ", "}
+              {ago(connection.lastDocument, now)}
+            </td>
+          </tr>
+          <tr>
+            <th>User</th>
+            <td>
+              {user ? user.name : "-"}
+              {user && user.isGM && " (GM)"}
+            </td>
+          </tr>
+          <tr>
+            <th>Profile</th>
+            <td>{getProfile() || "-"}</td>
+          </tr>
+          <tr>
+            <th>World</th>
+            <td>{game && game.world ? game.world.title : "-"}</td>
+          </tr>
+          <tr>
+            <th>System</th>
+            <td>{game && game.system ? game.system.id : "-"}</td>
+          </tr>
+        </tbody>
+      </Table>
+    </Container>
+  );
+}
@@ -0,0 +1,183 @@
+import React, { useContext, useEffect, useMemo, useState } from "react";
+import qs from "qs";
+import {
+  GameContext,
+  useGameData,
+  ACTOR_HOOKS,
+  COMBAT_HOOKS,
+  SCENE_HOOKS,
+  getWorldFlag,
+  getWorldSetting,
+} from "./contextManager";
+import { selectActors } from "./actorSelection";
+import {
+  getSystemAdapter,
+  activeToken,
+  effectName,
+} from "./TinyClient/systems";
+import { foundryUrl } from "./TinyClient/runtime";
+import { parseTemplate, renderTemplate, sanitizeHtml } from "./templating";
+
+/**
+ * The world flag and setting holding the templates written for the World, as an object of the templates by name.
+ * The flag is written in world.json, the setting needs a module registering it to be changed in Foundry VTT.
+ */
+const TEMPLATES_FLAG = "streamdeck.templates";
+const TEMPLATES_SETTING = "streamdeck.templates";
+
+/**
+ * The templates stored in the World, those of the flag over those of the setting
+ * @private
+ */
+function worldTemplates(game) {
+  const templates = (value) =>
+    value && typeof value === "object" ? value : {};
+  return {
+    ...templates(getWorldSetting(game, TEMPLATES_SETTING)),
+    ...templates(getWorldFlag(game, TEMPLATES_FLAG)),
+  };
+}
+
+/**
+ * Find the source of a template, in the World first, then among the template files served next to the views
+ *
+ * @param {Game} game
+ * @param {string} name     The template name, e.g. "party" for templates/party.html
+ * @return {Promise<string>}
+ */
+export async function loadTemplate(game, name) {
+  if (!/^[\w-]+$/.test(name || "")) {
+    throw new Error("Name the template to show with name=<template name>");
+  }
+  const templates = worldTemplates(game);
+  if (Object.prototype.hasOwnProperty.call(templates, name))
+    return templates[name];
+
+  const url = `${process.env.PUBLIC_URL || "."}/templates/${name}.html`;
+  const response = await fetch(url, { cache: "no-cache" });
+  if (!response.ok) throw new Error(`There is no ${name} template`);
+  return response.text();
+}
+
+/* -------------------------------------------- */
+
+/**
+ * The data of an actor a template may show
+ * @private
+ */
+function actorData(actor, adapter) {
+  const token = activeToken(actor);
+  return {
+    id: actor._id,
+    name: actor.isToken ? actor.token.name : actor.data.name,
+    img: foundryUrl(actor.data.img),
+    isPC: actor.isPC,
+    hp: adapter.hp(actor),
+    ac: adapter.ac(actor),
+    level: adapter.level(actor),
+    resources: adapter.resources(actor),
+    conditions: adapter.conditions(actor),
+    effects: (token && token.effects ? token.effects : []).map((icon) => ({
+      name: effectName(icon),
+      icon: foundryUrl(icon),
+    })),
+  };
+}
+
+/**
+ * The data templates are rendered with: plain values only, without the entities and their methods
+ *
+ * @param {Game} game
+ * @param {string} search     The query string of the view, selecting the actors as in the other views
+ * @return {Object}
+ */
+export function templateData(game, search) {
+  const adapter = getSystemAdapter(game.system.id);
+  const actors = selectActors(game, search).map((actor) => {
+    const data = actorData(actor, adapter);
+    // {{actor.name}} reads the same in a loop over the actors as outside
+    return { ...data, actor: data };
+  });
+  const scene = game.scenes.active;
+  const combat = game.combat;
+  const current = combat && combat.started ? combat.combatant : null;
+  const user = game.user;
+  const { name, ...query } = qs.parse(search, { ignoreQueryPrefix: true });
+
+  return {
+    world: { title: game.world.title, system: game.system.id },
+    user: user ? { name: user.name, isGM: user.isGM } : null,
+    paused: game.paused,
+    scene: scene ? { name: scene.name, img: foundryUrl(scene.data.img) } : null,
+    actors,
+    actor: actors.length ? actors[0].actor : null,
+    hp: actors.length ? actors[0].hp : null,
+    combat:
+      combat && combat.turns
+        ? {
+            round: combat.round,
+            started: !!combat.started,
+            combatants: combat.turns
+              .filter((c) => !c.hidden)
+              .map((c) => ({
+                name: c.token.name,
+                img: foundryUrl(c.token.img || (c.actor && c.actor.img)),
+                initiative: Number.isFinite(c.initiative) ? c.initiative : null,
+                active: !!current && c._id === current._id,
+                defeated: !!c.defeated,
+              })),
+          }
+        : null,
+    query,
+  };
+}
+
+/**
+ * Show a template written in HTML and CSS, rendered live with the game data, see templating.js.
+ * The template is named with `name=<template name>`, and read from the templates setting of the World or from
+ * templates/<name>.html next to the views.
+ */
+export default function Template(props) {
+  const game = useContext(GameContext);
+  const search = props.location.search;
+  const { name } = qs.parse(search, { ignoreQueryPrefix: true });
+  const [source, setSource] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    loadTemplate(game, name)
+      .then((text) => active && setSource(text))
+      .catch((err) => active && setError(err.message));
+    return () => {
+      active = false;
+    };
+  }, [game, name]);
+
+  const parsed = useMemo(() => {
+    if (source === null) return { nodes: null, error: null };
+    try {
+      return { nodes: parseTemplate(source), error: null };
+    } catch (err) {
+      return { nodes: null, error: err.message };
+    }
+  }, [source]);
+
+  const data = useGameData(
+    [...ACTOR_HOOKS, ...COMBAT_HOOKS, ...SCENE_HOOKS, "pauseGame"],
+    () => templateData(game, search)
+  );
+
+  // Designers see what is wrong with their template in the view itself
+  const message = error || parsed.error;
+  if (message) return <small className="template-error">{message}</small>;
+  if (parsed.nodes === null) return null;
+  return (
+    <div
+      className="template"
+      dangerouslySetInnerHTML={{
+        __html: sanitizeHtml(renderTemplate(parsed.nodes, data)),
+      }}
+    />
+  );
+}
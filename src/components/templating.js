@@ -0,0 +1,269 @@
+/**
+ * A small Handlebars-like template language for the template view, which designers write in HTML and CSS.
+ *
+ * - `{{actor.name}}` outputs a value of the data, HTML escaped; `{{this}}` is the current value, `{{../name}}` a value
+ *   of the enclosing one, `{{@root.world.title}}` a value of the top of the data
+ * - `{{#each actors}}...{{else}}...{{/each}}` repeats its content for each item, with `{{@index}}`, `{{@first}}` and
+ *   `{{@last}}`, or shows the else part when there are none
+ * - `{{#if hp.temp}}...{{else}}...{{/if}}` and `{{#unless ...}}` show their content depending on a value
+ * - `{{#with combat}}...{{/with}}` makes a value the current one
+ * - `{{! a comment }}` is left out
+ *
+ * Templates can not run script: there are no helpers or expressions, values are only looked up among the own
+ * properties of the plain data given to the template, and the HTML rendered is sanitized against an allowlist of
+ * elements and attributes before it reaches the page.
+ */
+
+const TAG = /\{\{\s*([#/!]?)\s*([\s\S]*?)\s*\}\}/g;
+
+const BLOCKS = ["each", "if", "unless", "with"];
+
+export class TemplateError extends Error {}
+
+/* -------------------------------------------- */
+/*  Parsing                                     */
+/* -------------------------------------------- */
+
+/**
+ * Parse a template into its nodes
+ *
+ * @param {string} source
+ * @return {Object[]}     The nodes, as {type: "text", text}, {type: "value", path} or
+ *                        {type: "block", name, path, content, inverse}
+ * @throws {TemplateError} When a block is not closed, or closed without being opened
+ */
+export function parseTemplate(source) {
+  const root = { content: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const add = (node) => (current().inverse || current().content).push(node);
+  const tags = new RegExp(TAG.source, "g");
+  let last = 0;
+  let match;
+
+  while ((match = tags.exec(source)) !== null) {
+    const [tag, kind, body] = match;
+    if (match.index > last)
+      add({ type: "text", text: source.slice(last, match.index) });
+    last = match.index + tag.length;
+
+    if (kind === "!") continue;
+    if (kind === "#") {
+      const [name, path = "this"] = body.split(/\s+/);
+      if (!BLOCKS.includes(name)) {
+        throw new TemplateError(
+          `Unknown block {{#${name}}}, use one of ${BLOCKS.join(", ")}`
+        );
+      }
+      const block = { type: "block", name, path, content: [], inverse: null };
+      add(block);
+      stack.push(block);
+    } else if (kind === "/") {
+      if (stack.length === 1 || current().name !== body) {
+        throw new TemplateError(`{{/${body}}} closes no {{#${body}}}`);
+      }
+      stack.pop();
+    } else if (body === "else") {
+      if (stack.length === 1)
+        throw new TemplateError("{{else}} outside a block");
+      current().inverse = [];
+    } else {
+      add({ type: "value", path: body });
+    }
+  }
+  if (last < source.length) add({ type: "text", text: source.slice(last) });
+  if (stack.length > 1) {
+    throw new TemplateError(`{{#${current().name}}} is never closed`);
+  }
+  return root.content;
+}
+
+/* -------------------------------------------- */
+/*  Rendering                                   */
+/* -------------------------------------------- */
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function format(value) {
+  if (value === null || value === undefined || value === false) return "";
+  if (Array.isArray(value)) return value.map(format).join(", ");
+  if (typeof value === "object") return "";
+  return escapeHtml(String(value));
+}
+
+/**
+ * Whether a value counts as true for if, unless and each, empty lists being false as in Handlebars
+ * @private
+ */
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Look a path up in the scopes, from the innermost
+ * @private
+ */
+function lookup(path, scopes) {
+  let depth = scopes.length - 1;
+  while (path.startsWith("../")) {
+    depth = Math.max(0, depth - 1);
+    path = path.slice(3);
+  }
+  const scope = scopes[depth];
+  let parts = path.split(".").filter((p) => p.length);
+  if (parts[0] === "@root") {
+    return resolve(scopes[0].value, parts.slice(1));
+  }
+  if (parts[0] && parts[0].startsWith("@")) {
+    return scope.frame[parts[0].slice(1)];
+  }
+  if (parts[0] === "this") parts = parts.slice(1);
+  return resolve(scope.value, parts);
+}
+
+/**
+ * Only the own properties of the data are reachable, never its prototype
+ * @private
+ */
+function resolve(value, parts) {
+  for (let part of parts) {
+    if (
+      value === null ||
+      typeof value !== "object" ||
+      !Object.prototype.hasOwnProperty.call(value, part)
+    )
+      return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes.map((node) => renderNode(node, scopes)).join("");
+}
+
+function renderNode(node, scopes) {
+  if (node.type === "text") return node.text;
+  const value = lookup(node.path, scopes);
+  if (node.type === "value") return format(value);
+
+  const inverse = () => (node.inverse ? renderNodes(node.inverse, scopes) : "");
+  switch (node.name) {
+    case "if":
+      return truthy(value) ? renderNodes(node.content, scopes) : inverse();
+    case "unless":
+      return truthy(value) ? inverse() : renderNodes(node.content, scopes);
+    case "with":
+      return value === null || value === undefined
+        ? inverse()
+        : renderNodes(node.content, [...scopes, { value, frame: {} }]);
+    case "each": {
+      if (!truthy(value) || typeof value !== "object") return inverse();
+      const items = Array.isArray(value) ? value : Object.values(value);
+      return items
+        .map((item, index) =>
+          renderNodes(node.content, [
+            ...scopes,
+            {
+              value: item,
+              frame: {
+                index,
+                first: index === 0,
+                last: index === items.length - 1,
+              },
+            },
+          ])
+        )
+        .join("");
+    }
+    default:
+      return "";
+  }
+}
+
+/**
+ * Render a template with some data
+ *
+ * @param {string|Object[]} template    The template, or its parsed nodes
+ * @param {Object} data                 Plain data, e.g. from JSON
+ * @return {string}                     The HTML, not sanitized yet
+ * @throws {TemplateError}
+ */
+export function renderTemplate(template, data) {
+  const nodes =
+    typeof template === "string" ? parseTemplate(template) : template;
+  return renderNodes(nodes, [{ value: data, frame: {} }]);
+}
+
+/* -------------------------------------------- */
+/*  Sanitizing                                  */
+/* -------------------------------------------- */
+
+/**
+ * The elements a template may use, any other is removed along with its content
+ */
+const ALLOWED_ELEMENTS = new Set(
+  (
+    "div span p br hr b i em strong u s small sub sup mark h1 h2 h3 h4 h5 h6 ul ol li dl dt dd table caption " +
+    "thead tbody tfoot tr th td col colgroup img figure figcaption section header footer article aside main " +
+    "blockquote pre code progress meter style"
+  ).split(" ")
+);
+
+/**
+ * The attributes a template may use, besides data-* and aria-* ones
+ */
+const ALLOWED_ATTRIBUTES = new Set(
+  (
+    "class id style title alt src width height colspan rowspan span value min max low high optimum dir lang " +
+    "role start reversed"
+  ).split(" ")
+);
+
+/**
+ * The URLs an image may come from
+ */
+const SAFE_URL = /^(https?:|data:image\/(png|gif|jpe?g|webp);|[^:]*$)/i;
+
+/**
+ * Keep the HTML of a rendered template to allowed elements and attributes, so that it can not run script
+ *
+ * @param {string} html
+ * @return {string}
+ */
+export function sanitizeHtml(html) {
+  const doc = new DOMParser().parseFromString(
+    `<body>${html}</body>`,
+    "text/html"
+  );
+  const walk = (parent) => {
+    for (let node of [...parent.childNodes]) {
+      if (node.nodeType === Node.COMMENT_NODE) {
+        node.remove();
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+      if (!ALLOWED_ELEMENTS.has(node.localName)) {
+        node.remove();
+        continue;
+      }
+      for (let attr of [...node.attributes]) {
+        const name = attr.name.toLowerCase();
+        const allowed =
+          ALLOWED_ATTRIBUTES.has(name) || /^(data|aria)-[a-z0-9-]+$/.test(name);
+        if (!allowed || (name === "src" && !SAFE_URL.test(attr.value.trim())))
+          node.removeAttribute(attr.name);
+      }
+      walk(node);
+    }
+  };
+  walk(doc.body);
+  return doc.body.innerHTML;
+}
@@ -0,0 +1,106 @@
+import { useContext, useEffect } from "react";
+import { GameContext, getWorldFlag, getWorldSetting } from "./contextManager";
+import { foundryUrl, getRuntimeConfig } from "./TinyClient/runtime";
+import { useShownViewValues } from "./viewSettings";
+
+import "./theme.css";
+
+/**
+ * The theme presets, see theme.css
+ */
+export const THEMES = [
+  { id: "parchment", title: "Parchment" },
+  { id: "chroma", title: "Transparent chroma" },
+  { id: "neon", title: "Neon" },
+  { id: "minimal", title: "Minimal" },
+  { id: "high-contrast", title: "High contrast" },
+];
+
+const DEFAULT_THEME = "parchment";
+
+/**
+ * The parchment of the default theme, a file of the Foundry VTT server
+ */
+const PARCHMENT = "ui/parchment.jpg";
+
+/**
+ * The world settings the GM may set for every view of the World. The CSS may also be a flag of the World, which is
+ * read first: a setting needs a module registering it to be changed in Foundry VTT, a flag is written in world.json.
+ */
+const THEME_SETTING = "streamdeck.theme";
+const CSS_SETTING = "streamdeck.css";
+const CSS_FLAG = "streamdeck.css";
+
+/**
+ * Add, replace or remove an element of the document head
+ * @private
+ */
+function setHeadElement(id, tag, attributes) {
+  let element = document.getElementById(id);
+  if (attributes === null) {
+    if (element) element.remove();
+    return;
+  }
+  if (!element || element.localName !== tag) {
+    if (element) element.remove();
+    element = document.createElement(tag);
+    element.id = id;
+    document.head.appendChild(element);
+  }
+  Object.assign(element, attributes);
+}
+
+/**
+ * Apply the theme of the view to the page: the preset chosen with `theme`, in the URL or the settings of the view, the streamdeck.theme world setting, the
+ * "theme" of config.json or REACT_APP_THEME, then the custom stylesheet given with `css`, "stylesheet" in
+ * config.json or REACT_APP_STYLESHEET, and last the CSS of the streamdeck.css world flag or setting.
+ */
+export default function Theme() {
+  const game = useContext(GameContext);
+  const query = useShownViewValues();
+  const config = getRuntimeConfig();
+
+  let theme =
+    query.theme ||
+    getWorldSetting(game, THEME_SETTING) ||
+    config.theme ||
+    DEFAULT_THEME;
+  if (!THEMES.some((t) => t.id === theme)) {
+    console.warn(`Foundry VTT | There is no ${theme} theme`);
+    theme = DEFAULT_THEME;
+  }
+  const stylesheet = query.css || config.stylesheet || null;
+  const css =
+    getWorldFlag(game, CSS_FLAG) || getWorldSetting(game, CSS_SETTING);
+
+  useEffect(() => {
+    document.documentElement.dataset.theme = theme;
+  }, [theme]);
+
+  // The server may be another origin, or behind a route prefix
+  const parchment = foundryUrl(PARCHMENT);
+  useEffect(() => {
+    document.documentElement.style.setProperty(
+      "--sd-parchment-image",
+      `url("${parchment}")`
+    );
+  }, [parchment]);
+
+  // Custom styles come after the bundled ones, to override the theme variables or anything else
+  useEffect(() => {
+    setHeadElement(
+      "streamdeck-stylesheet",
+      "link",
+      stylesheet ? { rel: "stylesheet", href: stylesheet } : null
+    );
+  }, [stylesheet]);
+  useEffect(() => {
+    setHeadElement(
+      "streamdeck-world-css",
+      "style",
+      typeof css === "string" && css ? { textContent: css } : null
+    );
+  }, [css]);
+
+  return null;
+}
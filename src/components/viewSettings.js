@@ -0,0 +1,371 @@
+import React, { useCallback, useContext, useEffect, useState } from "react";
+import { useLocation } from "react-router-dom";
+import { Button, Form } from "react-bootstrap";
+import qs from "qs";
+import { gsap } from "gsap";
+import OptionControl from "./optionControl";
+import Scaled, { SafeGuides, designSize } from "./scaling";
+
+import "./viewSettings.css";
+
+/**
+ * The settings of each view are kept in the local storage of the browser, by view and instance: two browser sources
+ * showing the same view keep their own settings when opened with different `instance` ids. The URL overrides the
+ * stored settings, which override the defaults of the view.
+ */
+
+const vtt = "Foundry VTT";
+
+/**
+ * The instance of a view without an `instance` id
+ */
+const DEFAULT_INSTANCE = "default";
+
+/**
+ * The speed of the animations, as a time scale of gsap
+ */
+const ANIMATION_SPEEDS = { slow: 0.5, normal: 1, fast: 2 };
+
+/**
+ * The panel closes by itself after this long without input, in milliseconds, so it is never left open on stream
+ */
+const PANEL_IDLE = 60000;
+
+/**
+ * The local storage key of the settings of a view instance
+ * @private
+ */
+function storageKey(viewId, instance) {
+  return `streamdeck.view.${viewId}.${instance}`;
+}
+
+function readSettings(key) {
+  try {
+    const settings = JSON.parse(window.localStorage.getItem(key));
+    return settings && typeof settings === "object" ? settings : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function writeSettings(key, settings) {
+  try {
+    if (Object.keys(settings).length)
+      window.localStorage.setItem(key, JSON.stringify(settings));
+    else window.localStorage.removeItem(key);
+  } catch (err) {
+    console.warn(
+      `${vtt} | The view settings could not be stored: ${err.message}`
+    );
+  }
+}
+
+/**
+ * The time to hold something on screen in a gsap timeline, which the animation speed does not change
+ *
+ * @param {number} seconds
+ * @return {number}     The position in the timeline
+ */
+export function holdTime(seconds) {
+  return seconds * gsap.globalTimeline.timeScale();
+}
+
+/**
+ * The settings of a view instance
+ *
+ * @param {Object} view       The registered view
+ * @param {string} search     The query string the view is opened with
+ * @return {{values: Object, search: string, instance: string, fixed: string[], set: Function, reset: Function}}
+ *   The values as in a query string, by name, the query string made of them, the names set by the URL, which the
+ *   stored settings do not change, and the functions to store a value, "" removing it, and to remove them all
+ */
+export function useViewSettings(view, search) {
+  const query = qs.parse(search, { ignoreQueryPrefix: true });
+  const instance = query.instance || DEFAULT_INSTANCE;
+  const key = storageKey(view.id, instance);
+  const [stored, setStored] = useState(() => readSettings(key));
+
+  useEffect(() => setStored(readSettings(key)), [key]);
+
+  const set = useCallback(
+    (name, value) =>
+      setStored((current) => {
+        const next = { ...current };
+        if (value === undefined || value === null || value === "")
+          delete next[name];
+        else next[name] = String(value);
+        writeSettings(key, next);
+        return next;
+      }),
+    [key]
+  );
+  const reset = useCallback(() => {
+    writeSettings(key, {});
+    setStored({});
+  }, [key]);
+
+  const values = { ...view.defaults, ...stored, ...query };
+  return {
+    values,
+    search: qs.stringify(values, { addQueryPrefix: true }),
+    instance,
+    fixed: Object.keys(query),
+    set,
+    reset,
+  };
+}
+
+/* -------------------------------------------- */
+/*  Shown view                                  */
+/* -------------------------------------------- */
+
+/**
+ * The settings of the view shown by the page, and the function ViewHost sets them with
+ * @private
+ */
+const ShownViewContext = React.createContext([null, () => {}]);
+
+/**
+ * Keep the settings of the view shown by the page for the components drawn around it, see useShownViewValues
+ */
+export function ShownViewProvider({ children }) {
+  const shown = useState(null);
+  return (
+    <ShownViewContext.Provider value={shown}>
+      {children}
+    </ShownViewContext.Provider>
+  );
+}
+
+/**
+ * The settings of the view shown by the page, stored ones included, for the components drawn around the view such
+ * as the theme, the pause gate and the connection badge. The query of the page on the pages which are not views.
+ *
+ * @return {Object}     The values as in a query string, by name
+ */
+export function useShownViewValues() {
+  const [values] = useContext(ShownViewContext);
+  const location = useLocation();
+  return values || qs.parse(location.search, { ignoreQueryPrefix: true });
+}
+
+/**
+ * The theme variables overridden by the color settings of a view
+ *
+ * @param {Object} values     The settings of the view
+ * @return {Object}           The style to give an element holding the view
+ */
+export function colorStyle({ color, background }) {
+  const style = {};
+  if (color) {
+    style["--sd-panel-color"] = color;
+    style["--sd-display-color"] = color;
+  }
+  if (background) style["--sd-panel-background"] = background;
+  return style;
+}
+
+/* -------------------------------------------- */
+/*  Settings panel                              */
+/* -------------------------------------------- */
+
+/**
+ * The events of the browser source of OBS as it starts or stops streaming or recording
+ * @private
+ */
+const OBS_EVENTS = [
+  "obsStreamingStarted",
+  "obsStreamingStopped",
+  "obsRecordingStarted",
+  "obsRecordingStopped",
+];
+
+/**
+ * Whether OBS is streaming or recording, when the view is shown in its browser source
+ * @private
+ */
+function onAir() {
+  return new Promise((resolve) => {
+    const obs = window.obsstudio;
+    if (!obs || typeof obs.getStatus !== "function") return resolve(false);
+    obs.getStatus((status) =>
+      resolve(!!status && (!!status.streaming || !!status.recording))
+    );
+  });
+}
+
+/**
+ * Whether OBS is streaming or recording, following it as either starts or stops
+ * @return {boolean}
+ */
+export function useOnAir() {
+  const [live, setLive] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    const update = () => onAir().then((value) => active && setLive(value));
+    update();
+    OBS_EVENTS.forEach((event) => window.addEventListener(event, update));
+    return () => {
+      active = false;
+      OBS_EVENTS.forEach((event) => window.removeEventListener(event, update));
+    };
+  }, []);
+
+  return live;
+}
+
+/**
+ * Whether a tool drawn over a view is open, e.g. the settings panel: Ctrl+Shift and the key toggle it and Escape
+ * closes it. It is closed while OBS streams or records, and after a while without input, so it never shows on stream.
+ *
+ * @param {string} code     The code of the key, e.g. "KeyS"
+ * @return {Array}          Whether it is open, and the function to close it or open it
+ */
+export function useOffAirToggle(code) {
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const onKey = (event) => {
+      if (event.key === "Escape") setOpen(false);
+      else if (event.ctrlKey && event.shiftKey && event.code === code) {
+        event.preventDefault();
+        if (open) setOpen(false);
+        else onAir().then((live) => setOpen(!live));
+      }
+    };
+    const close = () => setOpen(false);
+    window.addEventListener("keydown", onKey);
+    window.addEventListener("obsStreamingStarted", close);
+    window.addEventListener("obsRecordingStarted", close);
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      window.removeEventListener("obsStreamingStarted", close);
+      window.removeEventListener("obsRecordingStarted", close);
+    };
+  }, [code, open]);
+
+  useEffect(() => {
+    if (!open) return;
+    let timeout = setTimeout(() => setOpen(false), PANEL_IDLE);
+    const wait = () => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => setOpen(false), PANEL_IDLE);
+    };
+    const events = ["keydown", "pointermove", "pointerdown", "wheel"];
+    events.forEach((name) => window.addEventListener(name, wait));
+    return () => {
+      clearTimeout(timeout);
+      events.forEach((name) => window.removeEventListener(name, wait));
+    };
+  }, [open]);
+
+  return [open, setOpen];
+}
+
+/**
+ * The form to change the settings of a view instance, over the view
+ * @private
+ */
+function SettingsPanel({ view, options, settings, onClose }) {
+  return (
+    <div className="view-settings" role="dialog" aria-label="View settings">
+      <h6>
+        {view.title} settings
+        {settings.instance !== DEFAULT_INSTANCE && (
+          <small> ({settings.instance})</small>
+        )}
+      </h6>
+      <Form onSubmit={(e) => e.preventDefault()}>
+        {options
+          .filter((option) => option.name !== "instance")
+          .map((option) => (
+            <OptionControl
+              key={option.name}
+              option={option}
+              idPrefix="setting-"
+              value={settings.values[option.name]}
+              disabled={settings.fixed.includes(option.name)}
+              onChange={(value) => settings.set(option.name, value)}
+            />
+          ))}
+      </Form>
+      {options.some((option) => settings.fixed.includes(option.name)) && (
+        <p>
+          <small>The settings given in the URL cannot be changed here.</small>
+        </p>
+      )}
+      <div className="view-settings-buttons">
+        <Button size="sm" variant="secondary" onClick={settings.reset}>
+          Reset
+        </Button>
+        <Button size="sm" onClick={onClose}>
+          Close
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Show a view with its settings: the component is given the query string of the settings as its location, and the
+ * settings as a `settings` prop to change them. The colors, the animation speed and the scaling apply to any view,
+ * and Ctrl+Shift+G shows the safe areas over it.
+ *
+ * @param {Object} props
+ * @param {Object} props.view         The registered view
+ * @param {Object[]} props.options    The options the settings panel offers
+ * @param {Object} props.routeProps   The router props of the view
+ */
+export function ViewHost({ view, options, routeProps }) {
+  const settings = useViewSettings(view, routeProps.location.search);
+  const [open, setOpen] = useOffAirToggle("KeyS");
+  const [guides] = useOffAirToggle("KeyG");
+  const { animation, scale, anchor } = settings.values;
+
+  // The theme, pause gate and connection badge are drawn around the view, and read its settings
+  const [, setShown] = useContext(ShownViewContext);
+  const shown = settings.search;
+  useEffect(() => {
+    setShown(qs.parse(shown, { ignoreQueryPrefix: true }));
+    return () => setShown(null);
+  }, [shown, setShown]);
+
+  useEffect(() => {
+    gsap.globalTimeline.timeScale(ANIMATION_SPEEDS[animation] || 1);
+  }, [animation]);
+
+  const Component = view.component;
+  let content = (
+    <Component
+      {...routeProps}
+      location={{ ...routeProps.location, search: settings.search }}
+      settings={settings}
+    />
+  );
+  if (scale || anchor) {
+    content = (
+      <Scaled
+        design={designSize(view, settings.values)}
+        anchor={anchor}
+        fit={scale === "fit"}
+      >
+        {content}
+      </Scaled>
+    );
+  }
+  return (
+    <div className="view-host" style={colorStyle(settings.values)}>
+      {content}
+      {(guides || settings.values.guides === "true") && <SafeGuides />}
+      {open && (
+        <SettingsPanel
+          view={view}
+          options={options}
+          settings={settings}
+          onClose={() => setOpen(false)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Button, Container, Form, Table } from "react-bootstrap";
+import { getRuntimeConfig } from "./TinyClient/runtime";
+import { getSession } from "./TinyClient/sessions";
+import { copyText } from "./clipboard";
+
+import "./viewlinks.css";
+
+const EXPIRIES = [
+  { label: "1 hour", seconds: 3600 },
+  { label: "1 day", seconds: 24 * 3600 },
+  { label: "1 week", seconds: 7 * 24 * 3600 },
+  { label: "30 days", seconds: 30 * 24 * 3600 },
+];
+
+/**
+ * Call the API of the view link sidecar with the Foundry session of the browser
+ */
+async function sidecarRequest(method, path, body) {
+  const { sidecar } = getRuntimeConfig();
+  let response;
+  try {
+    response = await fetch(sidecar + path, {
+      method,
+      headers: {
+        Authorization: `Session ${getSession()}`,
+        "Content-Type": "application/json",
+      },
+      body: body && JSON.stringify(body),
+    });
+  } catch (err) {
+    throw new Error(
+      `The view link sidecar is not running at ${sidecar}, start it with "yarn sidecar".`
+    );
+  }
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.error);
+  return result;
+}
+
+/**
+ * The URL a browser source opens to show a view with a view link
+ */
+function linkUrl(link, view) {
+  return `${getRuntimeConfig().sidecar}/?page=${view}&token=${link.token}`;
+}
+
+/**
+ * Create and revoke view links, which let a browser source show views without logging in, see sidecar/
+ *
+ * @param {Object[]} views    The views which links may give access to, as {id, title}
+ */
+export default function ViewLinks({ views }) {
+  const [links, setLinks] = useState([]);
+  const [error, setError] = useState(null);
+  const [label, setLabel] = useState("");
+  const [chosen, setChosen] = useState([]);
+  const [expiresIn, setExpiresIn] = useState(EXPIRIES[1].seconds);
+
+  const load = useCallback(
+    () =>
+      sidecarRequest("GET", "/api/tokens")
+        .then((links) => {
+          setLinks(links);
+          setError(null);
+        })
+        .catch((err) => setError(err.message)),
+    []
+  );
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const create = () =>
+    sidecarRequest("POST", "/api/tokens", { views: chosen, label, expiresIn })
+      .then(() => {
+        setLabel("");
+        setChosen([]);
+        return load();
+      })
+      .catch((err) => setError(err.message));
+
+  const revoke = (link) =>
+    sidecarRequest("DELETE", `/api/tokens/${link.id}`)
+      .then(load)
+      .catch((err) => setError(err.message));
+
+  const toggle = (id) =>
+    setChosen(
+      chosen.includes(id) ? chosen.filter((v) => v !== id) : [...chosen, id]
+    );
+
+  return (
+    <Container className="viewlinks">
+      <h5>View links</h5>
+      <p>
+        <small>
+          A view link shows views in a browser source without logging in,
+          read-only, until it expires or is revoked.
+        </small>
+      </p>
+      <Form onSubmit={(e) => e.preventDefault()}>
+        <Form.Group>
+          {views.map((view) => (
+            <Form.Check
+              inline
+              key={view.id}
+              id={"viewlink-" + view.id}
+              type="checkbox"
+              label={view.title}
+              checked={chosen.includes(view.id)}
+              onChange={() => toggle(view.id)}
+            />
+          ))}
+        </Form.Group>
+        <Form.Group className="viewlinks-row">
+          <Form.Control
+            size="sm"
+            placeholder="What the link is for, e.g. OBS"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+          />
+          <Form.Control
+            size="sm"
+            as="select"
+            value={expiresIn}
+            onChange={(e) => setExpiresIn(Number(e.target.value))}
+          >
+            {EXPIRIES.map((expiry) => (
+              <option key={expiry.seconds} value={expiry.seconds}>
+                Expires in {expiry.label}
+              </option>
+            ))}
+          </Form.Control>
+          <Button
+            size="sm"
+            className="text-body"
+            disabled={chosen.length === 0}
+            onClick={create}
+          >
+            Create link
+          </Button>
+        </Form.Group>
+      </Form>
+      {error && <small style={{ color: "red" }}>{error}</small>}
+      {links.length > 0 && (
+        <Table size="sm">
+          <tbody>
+            {links.map((link) => (
+              <tr key={link.id}>
+                <td>{link.label || "-"}</td>
+                <td>
+                  {link.views.map((view) => (
+                    <div key={view}>
+                      <a href={linkUrl(link, view)}>{view}</a>{" "}
+                      <Button
+                        size="sm"
+                        variant="link"
+                        onClick={() => copyText(linkUrl(link, view))}
+                      >
+                        Copy
+                      </Button>
+                    </div>
+                  ))}
+                </td>
+                <td>until {new Date(link.expires).toLocaleString()}</td>
+                <td>
+                  <Button
+                    size="sm"
+                    variant="outline-danger"
+                    onClick={() => revoke(link)}
+                  >
+                    Revoke
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+    </Container>
+  );
+}
@@ -0,0 +1,530 @@
+import React, { useReducer } from "react";
+import qs from "qs";
+import PartyHUD from "./partyhud";
+import PartyHUDLite from "./partyhudlite";
+import PartyEffects from "./partyeffects";
+import Initiative from "./initiative";
+import RollFeed from "./rollfeed";
+import LowerThird from "./lowerthird";
+import SceneTitle from "./scenetitle";
+import Pause from "./pause";
+import Status from "./status";
+import Template from "./template";
+import Dashboard from "./dashboard";
+import { selectActors } from "./actorSelection";
+import {
+  GameContext,
+  useHooks,
+  useGameData,
+  useActor,
+  useActors,
+  useActiveScene,
+  useCombat,
+  useMessages,
+  usePaused,
+  useConnection,
+} from "./contextManager";
+import { Hooks } from "./TinyClient/hooks";
+import { foundryUrl, getRuntimeConfig } from "./TinyClient/runtime";
+import { THEMES } from "./theme";
+import { ANCHORS } from "./scaling";
+
+const vtt = "Foundry VTT";
+
+/**
+ * The registered views, by id
+ * @type {Map<string, Object>}
+ */
+const registry = new Map();
+
+/**
+ * Register a view, which gets a route at /<id> and an entry in the menu.
+ *
+ * @param {Object} view
+ * @param {string} view.id                  The route of the view, e.g. "partyhud"
+ * @param {Function} view.component         The React component, given the router props like any route, and
+ *                                          the settings of the view as `settings`, see viewSettings.js
+ * @param {string} [view.title]             The name of the view in the menu
+ * @param {string} [view.description]       What the view shows
+ * @param {Object} [view.defaults]          The query options the view is opened with unless the URL sets them
+ * @param {string[]} [view.requires]        The world data the view shows, among "actors", "combat", "messages" and
+ *                                          "scene", which the menu warns about when the world has none
+ * @param {Object[]} [view.options]         The query options the menu offers, as {name, label, type, choices,
+ *                                          multiple, value}; type is "text", "number", "color", "boolean"
+ *                                          or "select"
+ * @param {Object|Function} [view.size]     The size to give the browser source, as {width, height}, or a function
+ *                                          of the query string and the game returning it
+ * @param {Object} [view.design]            The resolution the view is laid out at when scaled to its browser source,
+ *                                          as {width, height}; the size by default, or 1920x1080 when it is a
+ *                                          function, see scaling.js
+ * @param {boolean} [view.withoutGame]      Show the view while the game is created, and when it could not be, with
+ *                                          a null GameContext, e.g. the diagnostics of the connection
+ * @return {Object}                         The registered view
+ */
+export function registerView({
+  id,
+  component,
+  title = id,
+  description = "",
+  defaults = {},
+  requires = [],
+  options = [],
+  size = { width: 1920, height: 1080 },
+  design = null,
+  withoutGame = false,
+}) {
+  if (!/^[a-z0-9-]+$/i.test(id || "")) {
+    throw new Error(
+      `A view id is made of letters, digits and dashes, not "${id}"`
+    );
+  }
+  if (typeof component !== "function" && typeof component !== "object") {
+    throw new Error(`The view ${id} has no component`);
+  }
+  if (registry.has(id)) {
+    console.warn(`${vtt} | The view ${id} is registered again, replacing it`);
+  }
+  const view = {
+    id,
+    component,
+    title,
+    description,
+    defaults,
+    requires,
+    options,
+    size,
+    design,
+    withoutGame,
+  };
+  registry.set(id, view);
+  Hooks.callAll("registerView", view);
+  return view;
+}
+
+/**
+ * @param {string} id
+ * @return {Object|null}    The registered view
+ */
+export function getView(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * @return {Object[]}       The registered views, in the order they were registered
+ */
+export function getViews() {
+  return [...registry.values()];
+}
+
+/**
+ * The registered views, rerendering the component when another view is registered
+ * @return {Object[]}
+ */
+export function useViews() {
+  const [, forceUpdate] = useReducer((version) => version + 1, 0);
+  useHooks("registerView", forceUpdate);
+  return getViews();
+}
+
+/**
+ * The size of the browser source for a view
+ *
+ * @param {Object} view
+ * @param {string} search     The query string the view is opened with
+ * @param {Game} [game]       The game, which the size of some views depends on
+ * @return {{width: number, height: number}}
+ */
+export function viewSize(view, search, game) {
+  const size =
+    typeof view.size === "function" && game
+      ? view.size(search, game)
+      : view.size;
+  return typeof size === "function" ? { width: 1920, height: 1080 } : size;
+}
+
+/* -------------------------------------------- */
+/*  Plugins                                     */
+/* -------------------------------------------- */
+
+/**
+ * The plugin scripts already added to the page
+ * @type {Set<string>}
+ */
+const loadedScripts = new Set();
+
+function loadScript(url) {
+  return new Promise((resolve) => {
+    const script = document.createElement("script");
+    script.src = url;
+    script.async = false;
+    script.onload = () => resolve(true);
+    script.onerror = () => {
+      console.error(`${vtt} | The view plugin ${url} could not be loaded`);
+      resolve(false);
+    };
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Only run plugin scripts served by the page or by the Foundry VTT server, which the session is already trusted with
+ * @private
+ */
+function isTrustedPlugin(url) {
+  try {
+    const { origin } = new URL(url, window.location.href);
+    return (
+      origin === window.location.origin ||
+      origin === new URL(getRuntimeConfig().server).origin
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Load plugin scripts, which register their views through window.StreamDeck. A script which fails to load is
+ * reported and left out, as is a script from another origin than the page and the Foundry VTT server.
+ *
+ * @param {string[]} urls
+ * @return {Promise}
+ */
+export function loadPlugins(urls) {
+  const scripts = urls.filter((url) => {
+    if (isTrustedPlugin(url)) return !loadedScripts.has(url);
+    console.error(
+      `${vtt} | The view plugin ${url} is not served by this page or the Foundry VTT server, it is not loaded`
+    );
+    return false;
+  });
+  scripts.forEach((url) => loadedScripts.add(url));
+  return Promise.all(scripts.map(loadScript));
+}
+
+/**
+ * The plugin scripts of the active modules of the World, which list them in their manifest as
+ * `"flags": {"streamdeck": {"views": ["scripts/overlays.js"]}}`
+ *
+ * @param {Game} game
+ * @return {string[]}     The URLs of the scripts
+ */
+export function worldPlugins(game) {
+  const modules = (game.data.modules || []).filter(
+    (m) => m.active && m.data && m.data.flags && m.data.flags.streamdeck
+  );
+  return [].concat(
+    ...modules.map((m) =>
+      []
+        .concat(m.data.flags.streamdeck.views || [])
+        .map((script) => foundryUrl(`modules/${m.id}/${script}`))
+    )
+  );
+}
+
+/**
+ * Load the plugins of the World, once logged in
+ * @param {Game} game
+ * @return {Promise}
+ */
+export function loadWorldPlugins(game) {
+  if (game.data.userId === null) return Promise.resolve();
+  return loadPlugins(worldPlugins(game));
+}
+
+/**
+ * The API given to plugins, which have no access to the modules of the bundle
+ */
+window.StreamDeck = {
+  React,
+  registerView,
+  getView,
+  getViews,
+  GameContext,
+  Hooks,
+  useHooks,
+  useGameData,
+  useActor,
+  useActors,
+  useActiveScene,
+  useCombat,
+  useMessages,
+  usePaused,
+  useConnection,
+  getRuntimeConfig,
+  foundryUrl,
+};
+
+/* -------------------------------------------- */
+/*  Views                                       */
+/* -------------------------------------------- */
+
+/**
+ * The actor selection options, see actorSelection.js
+ */
+export const ACTOR_OPTIONS = [
+  {
+    name: "ids",
+    label: "Actors",
+    type: "select",
+    multiple: true,
+    choices: (game) =>
+      game.actors.entities.map((a) => ({ value: a._id, label: a.name })),
+  },
+  {
+    name: "folder",
+    label: "Folders",
+    type: "select",
+    multiple: true,
+    choices: (game) =>
+      (game.data.folders || [])
+        .filter((f) => f.type === "Actor")
+        .map((f) => ({ value: f.name, label: f.name })),
+  },
+  {
+    name: "owner",
+    label: "Owners",
+    type: "select",
+    multiple: true,
+    choices: (game) =>
+      game.users.map((u) => ({ value: u.name, label: u.name })),
+  },
+  { name: "inscene", label: "Only with a token in the scene", type: "boolean" },
+  { name: "incombat", label: "Only in the combat", type: "boolean" },
+  {
+    name: "tokens",
+    label: "The tokens of the active scene",
+    type: "boolean",
+  },
+  {
+    name: "sort",
+    label: "Order",
+    type: "select",
+    choices: [
+      { value: "manual", label: "As in the world" },
+      { value: "name", label: "By name" },
+      { value: "hp", label: "By hit points" },
+      { value: "initiative", label: "By initiative" },
+    ],
+  },
+  { name: "order", label: "Descending", type: "boolean", value: "desc" },
+];
+
+/**
+ * The options of the views showing a size, in pixels of the text
+ */
+const SIZE_OPTION = { name: "size", label: "Text size", type: "number" };
+
+/**
+ * The options any view accepts, see theme.js, viewSettings.js, scaling.js, pause.js and status.js
+ */
+export const COMMON_OPTIONS = [
+  {
+    name: "theme",
+    label: "Theme",
+    type: "select",
+    choices: THEMES.map((t) => ({ value: t.id, label: t.title })),
+  },
+  { name: "color", label: "Text color", type: "color" },
+  { name: "background", label: "Panel background", type: "color" },
+  {
+    name: "animation",
+    label: "Animations",
+    type: "select",
+    choices: [
+      { value: "slow", label: "Slow" },
+      { value: "normal", label: "Normal" },
+      { value: "fast", label: "Fast" },
+    ],
+  },
+  {
+    name: "whenpaused",
+    label: "While paused",
+    type: "select",
+    choices: [
+      { value: "", label: "Show" },
+      { value: "dim", label: "Dim" },
+      { value: "hide", label: "Hide" },
+    ],
+  },
+  {
+    name: "health",
+    label: "Connection badge",
+    type: "select",
+    choices: [
+      { value: "", label: "Hidden" },
+      { value: "true", label: "Always" },
+      { value: "issues", label: "On connection issues" },
+    ],
+  },
+  {
+    name: "scale",
+    label: "Scale to the browser source",
+    type: "boolean",
+    value: "fit",
+  },
+  {
+    name: "anchor",
+    label: "Anchor",
+    type: "select",
+    choices: Object.keys(ANCHORS).map((anchor) => ({
+      value: anchor,
+      label: anchor[0].toUpperCase() + anchor.slice(1).replace("-", " "),
+    })),
+  },
+  { name: "design", label: "Design resolution, e.g. 1920x1080", type: "text" },
+  { name: "guides", label: "Title and action safe guides", type: "boolean" },
+  { name: "instance", label: "Settings instance", type: "text" },
+];
+
+/**
+ * A row for each selected actor
+ * @private
+ */
+function actorRows(width, rowHeight) {
+  return (search, game) => ({
+    width,
+    height: Math.max(1, selectActors(game, search).length) * rowHeight,
+  });
+}
+
+/**
+ * A row of text for each selected actor, as large as the size option
+ * @private
+ */
+function textRows(width) {
+  return (search, game) => {
+    const { size } = qs.parse(search, { ignoreQueryPrefix: true });
+    const scale = (Number(size) || 50) / 50;
+    return actorRows(Math.round(width * scale), 75 * scale)(search, game);
+  };
+}
+
+registerView({
+  id: "partyhud",
+  component: PartyHUD,
+  title: "Party HUD",
+  description: "The portrait and hit points of each actor",
+  requires: ["actors"],
+  options: [
+    ...ACTOR_OPTIONS,
+    {
+      name: "layout",
+      label: "Layout",
+      type: "select",
+      choices: [
+        { value: "vertical", label: "Vertical" },
+        { value: "horizontal", label: "Horizontal" },
+      ],
+    },
+  ],
+  size: (search, game) => {
+    const { layout } = qs.parse(search, { ignoreQueryPrefix: true });
+    const rows = actorRows(300, 84)(search, game);
+    return layout === "horizontal"
+      ? { width: (rows.height / 84) * 308, height: 84 }
+      : rows;
+  },
+  design: { width: 300, height: 420 },
+});
+registerView({
+  id: "partyhudlite",
+  component: PartyHUDLite,
+  title: "Party HUD Lite",
+  description: "The hit points and name of each actor, in large type",
+  defaults: { size: "50" },
+  requires: ["actors"],
+  options: [...ACTOR_OPTIONS, SIZE_OPTION],
+  size: textRows(800),
+  design: { width: 800, height: 375 },
+});
+registerView({
+  id: "partyeffects",
+  component: PartyEffects,
+  title: "Party effect statuses",
+  description: "The active effects of each actor, scrolling",
+  defaults: { size: "50" },
+  requires: ["actors"],
+  options: [...ACTOR_OPTIONS, SIZE_OPTION],
+  size: textRows(800),
+  design: { width: 800, height: 375 },
+});
+registerView({
+  id: "initiative",
+  component: Initiative,
+  title: "Initiative tracker",
+  description: "The combatants in turn order, highlighting the current turn",
+  requires: ["combat"],
+  size: (search, game) => ({
+    width: Math.max(
+      400,
+      (game.combat && game.combat.turns ? game.combat.turns.length : 0) * 104
+    ),
+    height: 200,
+  }),
+  design: { width: 832, height: 200 },
+});
+registerView({
+  id: "rollfeed",
+  component: RollFeed,
+  title: "Roll feed",
+  description: "The last public rolls with their dice",
+  requires: ["messages"],
+  size: { width: 600, height: 900 },
+});
+registerView({
+  id: "lowerthird",
+  component: LowerThird,
+  title: "In-character lower third",
+  description: "In-character chat messages, one after another",
+  defaults: { dwell: "6" },
+  requires: ["messages"],
+  options: [
+    { name: "dwell", label: "Seconds on screen", type: "number" },
+    { name: "ooc", label: "Out of character messages", type: "boolean" },
+    { name: "whispers", label: "Whispers", type: "boolean" },
+  ],
+});
+registerView({
+  id: "scenetitle",
+  component: SceneTitle,
+  title: "Scene title card",
+  description: "The name of the scene the GM activates",
+  defaults: { duration: "5" },
+  requires: ["scene"],
+  options: [{ name: "duration", label: "Seconds on screen", type: "number" }],
+});
+registerView({
+  id: "pause",
+  component: Pause,
+  title: "Pause banner",
+  description: "A banner while the game is paused",
+  defaults: { text: "Paused" },
+  options: [{ name: "text", label: "Text", type: "text" }],
+});
+registerView({
+  id: "template",
+  component: Template,
+  title: "Template",
+  description:
+    "A template written in HTML and CSS, from the World or the templates folder",
+  options: [
+    { name: "name", label: "Template name", type: "text" },
+    ...ACTOR_OPTIONS,
+  ],
+});
+registerView({
+  id: "status",
+  component: Status,
+  title: "Connection status",
+  description: "Diagnostics of the connection to the server",
+  size: { width: 600, height: 500 },
+  withoutGame: true,
+});
+registerView({
+  id: "dashboard",
+  component: Dashboard,
+  title: "Dashboard",
+  description:
+    "Several views on one canvas sharing one connection, laid out with Ctrl+Shift+E",
+  options: [{ name: "layout", label: "Layout (JSON)", type: "text" }],
+});
@@ -2,14 +2,22 @@ import React from 'react';
 import ReactDOM from 'react-dom';
 import './index.css';
 import App from './App';
+import { loadRuntimeConfig } from './components/TinyClient/runtime';
+import { loadPlugins } from './components/views';
 import * as serviceWorker from './serviceWorker';
 
-ReactDOM.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-  document.getElementById('root')
-);
+// The runtime configuration tells where the Foundry VTT server and the views are served from, and which plugins
+// add views
+loadRuntimeConfig()
+  .then((config) => loadPlugins(config.plugins))
+  .then(() =>
+    ReactDOM.render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>,
+      document.getElementById('root')
+    )
+  );
 
 // If you want your app to work offline and load faster, you can change
 // unregister() to register() below. Note this comes with some pitfalls.
@@ -1,39 +1,43 @@
 const { createProxyMiddleware } = require("http-proxy-middleware");
+
+// The Foundry VTT server the development server forwards to, by default the local mock server (`yarn mock`)
+const target = process.env.FOUNDRY_URL || "http://localhost:30000";
+
+// The route prefix of Foundry VTT when it is served under a path, e.g. "foundry" for /foundry/
+const prefix = (process.env.REACT_APP_ROUTE_PREFIX || "").replace(
+  /^\/+|\/+$/g,
+  ""
+);
+const route = (path) => (prefix ? `/${prefix}${path}` : path);
+
 module.exports = function (app) {
   app.use(
-    "/socket.io",
+    route("/socket.io"),
     createProxyMiddleware({
-      target: "https://lucasanta.homepc.it:8100/socket.io",
+      target: target,
       changeOrigin: true,
       ws: true,
     })
   );
   app.use(
-    "/join",
+    route("/join"),
     createProxyMiddleware({
-      target: "https://lucasanta.homepc.it:8100",
+      target: target,
       changeOrigin: true,
     })
   );
   app.use(
-    "/tokens",
+    route("/tokens"),
     createProxyMiddleware({
-      target: "https://lucasanta.homepc.it:8100",
+      target: target,
       changeOrigin: true,
     })
   );
   app.use(
-    "/ui",
+    route("/ui"),
     createProxyMiddleware({
-      target: "https://lucasanta.homepc.it:8100",
+      target: target,
       changeOrigin: true,
     })
   );
-//   app.use(
-//     "/sockjs-node",
-//     createProxyMiddleware({
-//       target: "wss://localhost:3000",
-//       ws: true,
-//     })
-//   );
 };